@@ -1,10 +1,44 @@
 const fetch = require('like-fetch')
 const retry = require('like-retry')
 const HubSocket = require('./lib/hub-socket.js')
+const EndpointPool = require('./lib/endpoint-pool.js')
+const RateLimiter = require('./lib/rate-limiter.js')
+const { RPCError, RateLimitError, TransactionError, BlockhashExpiredError } = require('./lib/errors.js')
+const base58 = require('./lib/base58.js')
+const { normalizeTransaction, decodeTransaction } = require('./lib/transaction.js')
+const { parseLogs } = require('./lib/logs.js')
+const AnchorCoder = require('./lib/anchor.js')
+const Keypair = require('./lib/keypair.js')
+const TransactionBuilder = require('./lib/transaction-builder.js')
+const { isPublicKey, isOnCurve, createProgramAddress, findProgramAddress } = require('./lib/public-key.js')
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, isTokenProgram, decodeMint, decodeTokenAccount } = require('./lib/token.js')
 
 const API_URL = 'solana-rpc.publicnode.com'
 
-module.exports = class SolanaRPC {
+// Rate limited, "no available nodes found for platform solana-rpc", and request timed out
+const RETRYABLE_CODES = [429, -32701, -32504]
+
+const ADDRESS_LOOKUP_TABLE_PROGRAM_ID = 'AddressLookupTab1e1111111111111111111111111'
+
+// Addresses of a lookup table start after its metadata
+const LOOKUP_TABLE_META_SIZE = 56
+
+// Coders are reused for the same IDL object
+const coders = new WeakMap()
+
+// Delivered blocks tracked by BlockStream to find the common ancestor of a fork
+const MAX_FORK_HISTORY = 1024
+
+// Slots listed at once by BlockStream, the RPC allows up to 500k
+const SLOTS_WINDOW = 1000
+
+// Live BlockStream only lists slots when it's at least this far behind the tip
+const MIN_SLOTS_LISTING = 10
+
+// BlockStream polls once if there are no slot notifications for this long
+const NOTIFICATION_TIMEOUT = 5000
+
+class SolanaRPC {
   constructor (url, opts = {}) {
     if (isOptions(url)) {
       opts = url
@@ -25,15 +59,67 @@ module.exports = class SolanaRPC {
 
     this.id = 1
 
-    this._urlIndex = 0
     this.urls = url
+    this.endpoints = new EndpointPool(url, {
+      strategy: opts.strategy,
+      maxErrors: opts.maxErrors,
+      cooldown: opts.cooldown,
+      maxSlotLag: opts.maxSlotLag
+    })
+
+    this.retry = {
+      max: 3,
+      delay: 1000,
+      strategy: 'linear', // Or 'exponential', an array of delays, or a function
+      jitter: 0,
+      retryable: null, // Predicate to decide if an error is retried
+      ...(opts.retry === false ? { max: 0 } : opts.retry)
+    }
+
+    this.timeout = opts.timeout || 30000
+
+    this.rateLimit = opts.rateLimit || 0
+    this.burst = opts.burst || 0
+    this.maxInflight = opts.maxInflight || 0
+
+    this._limiters = new Map()
+
+    this._healthCheck = null
+
+    if (opts.healthCheckInterval) {
+      this._healthCheck = setInterval(() => this.checkHealth().catch(noop), opts.healthCheckInterval)
+      this._healthCheck.unref()
+    }
 
-    this.socket = new HubSocket(ws)
+    this.socket = new HubSocket(ws, {
+      WebSocket: opts.WebSocket,
+      timeout: opts.socketTimeout,
+      reconnect: opts.reconnect,
+      reconnectDelay: opts.reconnectDelay
+    })
 
     this.agent = opts.agent || null
+    this.fetch = opts.fetch || fetch
     this.commitment = opts.commitment || 'processed'
 
+    this.batching = !!opts.batch
+    this.batchSize = opts.batchSize || 100
+
+    this._batchQueue = []
+    this._batchTimer = null
+
+    // Local handle -> { method, params, id, onMessage }
     this._subscriptions = new Map()
+    this._subscriptionHandle = 1
+
+    // Server-side subscription id -> local handle
+    this._handles = new Map()
+
+    this._onmessage = this._onmessage.bind(this)
+    this._onreconnect = this._onreconnect.bind(this)
+
+    this.socket.on('message', this._onmessage)
+    this.socket.on('reconnect', this._onreconnect)
   }
 
   // Compat
@@ -53,6 +139,41 @@ module.exports = class SolanaRPC {
     return 'https://' + hostname
   }
 
+  get health () {
+    return this.endpoints.table()
+  }
+
+  async checkHealth () {
+    const results = await Promise.all(this.urls.map(url => this._checkEndpoint(url)))
+
+    // Slot lag is relative to the highest slot so every endpoint is reported at once
+    this.endpoints.report(results)
+
+    return this.health
+  }
+
+  async _checkEndpoint (url) {
+    let healthy = true
+    let slot = null
+
+    try {
+      await this.api({ jsonrpc: '2.0', id: this.id++, method: 'getHealth' }, { url, retry: false })
+    } catch {
+      // E.g. "Node is behind by 42 slots"
+      healthy = false
+    }
+
+    try {
+      const data = await this.api({ jsonrpc: '2.0', id: this.id++, method: 'getSlot', params: [{ commitment: this.commitment }] }, { url, retry: false })
+
+      slot = data.result
+    } catch {
+      healthy = false
+    }
+
+    return { url, healthy, slot }
+  }
+
   connect () {
     return this.socket.connect()
   }
@@ -61,6 +182,16 @@ module.exports = class SolanaRPC {
     return this.socket.disconnect()
   }
 
+  // Stops the periodic health checks, and closes the WebSocket
+  async close () {
+    if (this._healthCheck !== null) {
+      clearInterval(this._healthCheck)
+      this._healthCheck = null
+    }
+
+    await this.disconnect()
+  }
+
   waitForMessage (cb) {
     return this.socket.waitForMessage(cb)
   }
@@ -76,9 +207,14 @@ module.exports = class SolanaRPC {
   }
 
   async getBlock (blockNumber, opts = {}) {
+    // Without full transactions there are no instructions or balances to normalize
+    if (opts.normalize && opts.transactionDetails && opts.transactionDetails !== 'full') {
+      throw new Error('Normalize requires transactionDetails to be full: ' + opts.transactionDetails)
+    }
+
     const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
 
-    return this.request('getBlock', [
+    const block = await this.request('getBlock', [
       blockNumber,
       {
         encoding: opts.encoding || 'json',
@@ -87,30 +223,57 @@ module.exports = class SolanaRPC {
         maxSupportedTransactionVersion: 0
       }
     ])
+
+    if (block) {
+      decodeBlock(block)
+    }
+
+    if (opts.normalize && block) {
+      normalizeBlock(block, blockNumber)
+    }
+
+    return block
   }
 
-  async getBlocks (start, end, opts) {
+  async getBlocks (start, end, opts = {}) {
     if (start === end) {
-      return [await this.getBlock(start, opts)]
+      return [await this.getBlock(start, opts).catch(missingBlock)]
     }
 
+    const slots = new Set(await this.getBlockSlots(start, end, opts))
     const reqs = []
 
     for (let i = start; i < end; i++) {
-      reqs.push(this.getBlock(i, opts))
+      reqs.push(slots.has(i) ? this.getBlock(i, opts).catch(missingBlock) : Symbol.for('solana-block-missing'))
     }
 
     return Promise.all(reqs)
   }
 
+  async getBlockSlots (start, end, opts = {}) {
+    const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
+    const slots = []
+
+    // The range is inclusive and limited to 500k slots
+    for (let i = start; i < end; i += 500000) {
+      const last = Math.min(end, i + 500000) - 1
+
+      slots.push(...await this.request('getBlocks', [i, last, { commitment }]))
+    }
+
+    return slots
+  }
+
+  async getBlockSlotsWithLimit (start, limit, opts = {}) {
+    const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
+
+    return this.request('getBlocksWithLimit', [start, limit, { commitment }])
+  }
+
   async sendTransaction (tx, opts = {}) {
     const signature = await this.request('sendTransaction', [
       maybeEncodeTransaction(tx),
-      {
-        encoding: opts.encoding || 'base64',
-        skipPreflight: true,
-        preflightCommitment: 'confirmed'
-      }
+      sendOptions(opts)
     ])
 
     if (opts.confirmed) {
@@ -122,10 +285,88 @@ module.exports = class SolanaRPC {
     return signature
   }
 
+  async sendAndConfirm (tx, opts = {}) {
+    const encoded = maybeEncodeTransaction(tx)
+
+    // Without it, the latest one is a safe upper bound for the transaction's blockhash
+    const lastValidBlockHeight = opts.lastValidBlockHeight || tx.lastValidBlockHeight || (await this.getLatestBlockhash()).lastValidBlockHeight
+
+    const signature = await this.sendTransaction(encoded, { ...opts, confirmed: false, finalized: false })
+
+    const body = {
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'sendTransaction',
+      params: [encoded, sendOptions({ ...opts, skipPreflight: true, maxRetries: 0 })]
+    }
+
+    const inflight = new Set()
+
+    const rebroadcast = () => {
+      for (const url of this.urls) {
+        if (inflight.has(url)) continue
+
+        inflight.add(url)
+
+        this.api({ ...body, id: this.id++ }, { url, retry: false }).catch(noop).finally(() => inflight.delete(url))
+      }
+    }
+
+    const interval = setInterval(rebroadcast, opts.rebroadcastInterval || 2000)
+
+    let result = null
+
+    try {
+      result = await this.confirmSignature(signature, { ...opts, lastValidBlockHeight })
+    } finally {
+      clearInterval(interval)
+    }
+
+    if (result.status === 'failed') {
+      throw new TransactionError(signature, result.err)
+    }
+
+    if (result.status === 'expired') {
+      throw new BlockhashExpiredError(signature)
+    }
+
+    return signature
+  }
+
+  async simulateTransaction (tx, opts = {}) {
+    const result = await this.request('simulateTransaction', [
+      maybeEncodeTransaction(tx),
+      {
+        encoding: opts.encoding || 'base64',
+        commitment: opts.commitment || this.commitment,
+        sigVerify: !!opts.sigVerify,
+        replaceRecentBlockhash: !!opts.replaceRecentBlockhash,
+        innerInstructions: !!opts.innerInstructions,
+        minContextSlot: opts.minContextSlot,
+        accounts: opts.accounts ? { addresses: opts.accounts, encoding: 'base64' } : undefined
+      }
+    ])
+
+    const value = result.value
+    const returnData = value.returnData || null
+
+    return {
+      err: value.err,
+      error: value.err ? new TransactionError(null, value.err, { logs: value.logs, method: 'simulateTransaction' }) : null,
+      logs: value.logs || [],
+      unitsConsumed: value.unitsConsumed,
+      accounts: value.accounts ? value.accounts.map(decodeAccount) : null,
+      innerInstructions: value.innerInstructions || null,
+      returnData: returnData ? { programId: returnData.programId, data: Buffer.from(returnData.data[0], returnData.data[1]) } : null,
+      replacementBlockhash: value.replacementBlockhash || null,
+      context: result.context
+    }
+  }
+
   async getTransaction (signature, opts = {}) {
     const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
 
-    return this.request('getTransaction', [
+    const tx = await this.request('getTransaction', [
       signature,
       {
         encoding: opts.encoding || 'json',
@@ -133,27 +374,138 @@ module.exports = class SolanaRPC {
         maxSupportedTransactionVersion: 0
       }
     ])
+
+    if (tx) {
+      decodeEncodedTransaction(tx)
+    }
+
+    if (opts.normalize && tx) {
+      return normalizeTransaction(tx)
+    }
+
+    return tx
   }
 
   async confirmTransaction (signature, opts = {}) {
-    for (let i = 0; i < 30; i++) {
+    const result = await this.confirmSignature(signature, opts)
+
+    if (result.status === 'failed') {
+      const tx = await this.getTransaction(signature, opts).catch(noop)
+
+      throw new TransactionError(signature, result.err, { logs: tx ? tx.meta.logMessages : null })
+    }
+
+    if (result.status === 'expired') {
+      throw new BlockhashExpiredError(signature)
+    }
+
+    // The status can be available slightly before the transaction itself
+    for (let i = 0; i < 10; i++) {
       const tx = await this.getTransaction(signature, opts)
 
       if (tx) {
-        if (tx.meta.err) {
-          // TODO
-          console.error(tx.meta.err)
+        return tx
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 500))
+    }
+
+    throw new Error('Transaction not found: ' + signature)
+  }
+
+  async confirmSignature (signature, opts = {}) {
+    const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
+    const lastValidBlockHeight = opts.lastValidBlockHeight || 0
+    const interval = opts.interval || 1000
+    const timeout = opts.timeout || 30000
+    const started = Date.now()
+
+    let subscription = null
+    let notified = null
+
+    if (opts.websocket && this.socket.readyState === 1) {
+      let onNotification = null
+
+      notified = new Promise(resolve => {
+        onNotification = resolve
+      })
+
+      try {
+        subscription = await this.onSignature(signature, function (value, context) {
+          onNotification(signatureResult(value.err, context.slot))
+        }, { commitment })
+      } catch {
+        // Falls back to polling only
+        notified = null
+      }
+    }
 
-          throw new Error('Confirmation failed: ' + signature)
+    try {
+      while (true) {
+        const result = await this._signatureStatus(signature, commitment)
+
+        if (result) {
+          return result
         }
 
-        return tx
+        if (lastValidBlockHeight) {
+          const blockHeight = await this.getBlockHeight({ commitment })
+
+          if (blockHeight > lastValidBlockHeight) {
+            // It could have landed right before expiring
+            return await this._signatureStatus(signature, commitment) || { status: 'expired', err: null, slot: 0 }
+          }
+        } else if (Date.now() - started >= timeout) {
+          throw new Error('Confirmation timeout: ' + signature)
+        }
+
+        let timer = null
+
+        const waiting = [new Promise(resolve => { timer = setTimeout(resolve, interval) })]
+
+        if (notified) waiting.push(notified)
+
+        const notification = await Promise.race(waiting)
+
+        clearTimeout(timer)
+
+        if (notification) {
+          return notification
+        }
+      }
+    } finally {
+      if (subscription !== null && this._subscriptions.has(subscription)) {
+        await this.unsubscribe(subscription).catch(noop)
       }
+    }
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 1000))
+  async _signatureStatus (signature, commitment) {
+    // Older signatures are no longer in the status cache of the node
+    const [status] = await this.getSignatureStatuses([signature], { searchTransactionHistory: true })
+
+    if (!status || !hasCommitment(status.confirmationStatus, commitment)) {
+      return null
     }
 
-    throw new Error('Confirmation timeout: ' + signature)
+    return signatureResult(status.err, status.slot)
+  }
+
+  async getSignatureStatuses (signatures, opts = {}) {
+    const result = await this.request('getSignatureStatuses', [
+      signatures,
+      {
+        searchTransactionHistory: !!opts.searchTransactionHistory
+      }
+    ])
+
+    return result.value
+  }
+
+  async getBlockHeight (opts = {}) {
+    return this.request('getBlockHeight', [
+      { commitment: opts.commitment || this.commitment }
+    ])
   }
 
   async getSignaturesForAddress (address, opts = {}) {
@@ -168,36 +520,75 @@ module.exports = class SolanaRPC {
         before: opts.before, // I.e. signature
         until: opts.until
       }
-    ])
+    ], { url: opts.url })
   }
 
-  async getAllSignaturesForAddress (address, opts = {}) {
-    let before = opts.before || null
+  async * iterateSignaturesForAddress (address, opts = {}) {
+    const limit = opts.limit || 1000
 
-    const all = []
+    let before = opts.before
+    let count = 0
 
     while (true) {
-      const signatures = await this.getSignaturesForAddress(address, { limit: 1000, before })
+      const page = await this._signaturesPage(address, { ...opts, limit, before })
 
-      if (signatures.length === 0) {
-        // TODO: Sometimes RPC might return 0 but it does have txs
-        // I think it might only happen when using 'before' so it's ok for now
-        break
+      if (page.length === 0) {
+        return
       }
 
-      all.push(...signatures)
+      const transactions = opts.transactions
+        ? await mapConcurrent(page, opts.concurrency || 4, info => this.getTransaction(info.signature, { commitment: opts.commitment, encoding: opts.encoding }))
+        : null
 
-      before = signatures[signatures.length - 1].signature
+      for (let i = 0; i < page.length; i++) {
+        yield transactions ? { ...page[i], transaction: transactions[i] } : page[i]
 
-      if (signatures.length !== 1000) {
-        break
+        if (opts.max && ++count >= opts.max) {
+          return
+        }
       }
 
-      if (opts.max && all.length >= opts.max) {
-        break
+      if (page.length < limit) {
+        return
+      }
+
+      before = page[page.length - 1].signature
+    }
+  }
+
+  async _signaturesPage (address, opts) {
+    const page = await this.getSignaturesForAddress(address, opts)
+
+    if (page.length > 0) {
+      return page
+    }
+
+    // Sometimes the RPC returns 0 but it does have txs, i.e. a node without the full history
+    const retries = opts.emptyRetries === undefined ? Math.max(this.urls.length, 2) : opts.emptyRetries
+
+    for (let i = 0; i < retries; i++) {
+      // With a single endpoint the only option is to give it some time
+      if (this.urls.length === 1) {
+        await new Promise(resolve => setTimeout(resolve, opts.emptyRetryDelay === undefined ? 1000 : opts.emptyRetryDelay))
+      }
+
+      const page = await this.getSignaturesForAddress(address, { ...opts, url: this.urls[i % this.urls.length] })
+
+      if (page.length > 0) {
+        return page
       }
     }
 
+    return []
+  }
+
+  async getAllSignaturesForAddress (address, opts = {}) {
+    const all = []
+
+    for await (const info of this.iterateSignaturesForAddress(address, opts)) {
+      all.push(info)
+    }
+
     return all
   }
 
@@ -214,24 +605,115 @@ module.exports = class SolanaRPC {
       return result.value
     }
 
-    if (!result.value) {
+    return decodeAccount(result.value)
+  }
+
+  async getDecodedAccount (address, idl, opts = {}) {
+    const account = await this.getAccountInfo(address, { commitment: opts.commitment })
+
+    if (!account) {
       return null
     }
 
-    return {
-      data: Buffer.from(result.value.data[0], result.value.data[1]),
-      executable: result.value.executable,
-      lamports: result.value.lamports,
-      owner: result.value.owner,
-      rentEpoch: result.value.rentEpoch,
-      space: result.value.space
-    }
+    const { name, data } = coder(idl).decodeAccount(account.data, opts.name)
+
+    return { ...account, name, decoded: data }
   }
 
   async getParsedAccountInfo (address, opts = {}) {
     return this.getAccountInfo(address, { ...opts, encoding: 'jsonParsed' })
   }
 
+  async getProgramAccounts (programId, opts = {}) {
+    const result = await this.request('getProgramAccounts', [
+      programId,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64',
+        filters: encodeFilters(opts.filters),
+        dataSlice: opts.dataSlice,
+        minContextSlot: opts.minContextSlot,
+        withContext: !!opts.withContext
+      }
+    ])
+
+    const list = opts.withContext ? result.value : result
+    const accounts = opts.encoding === 'jsonParsed' ? list : list.map(decodeKeyedAccount)
+
+    if (opts.withContext) {
+      return { context: result.context, value: accounts }
+    }
+
+    return accounts
+  }
+
+  async * iterateProgramAccounts (programId, opts = {}) {
+    const commitment = opts.commitment || this.commitment
+    const batchSize = opts.batchSize || 100
+
+    // Only the addresses first, so the full data is never loaded all at once
+    const keys = await this.getProgramAccounts(programId, {
+      commitment,
+      filters: opts.filters,
+      dataSlice: { offset: 0, length: 0 },
+      minContextSlot: opts.minContextSlot
+    })
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const pubkeys = keys.slice(i, i + batchSize).map(keyed => keyed.pubkey)
+      const { value } = await this._getMultipleAccounts(pubkeys, { ...opts, commitment })
+
+      for (let j = 0; j < pubkeys.length; j++) {
+        // Closed, or changed so it no longer matches, after the scan
+        if (!value[j] || value[j].owner !== programId || !matchesFilters(value[j], opts.filters)) continue
+
+        yield { pubkey: pubkeys[j], account: value[j] }
+      }
+    }
+  }
+
+  async getMultipleAccounts (addresses, opts = {}) {
+    const chunkSize = opts.chunkSize || 100
+    const chunks = []
+
+    for (let i = 0; i < addresses.length; i += chunkSize) {
+      chunks.push(addresses.slice(i, i + chunkSize))
+    }
+
+    const results = await mapConcurrent(chunks, opts.concurrency || 4, chunk => this._getMultipleAccounts(chunk, opts))
+
+    const value = []
+    const contexts = []
+
+    for (let i = 0; i < results.length; i++) {
+      value.push(...results[i].value)
+      contexts.push({ ...results[i].context, offset: i * chunkSize, length: chunks[i].length })
+    }
+
+    if (opts.withContext) {
+      return { value, contexts }
+    }
+
+    return value
+  }
+
+  async _getMultipleAccounts (addresses, opts) {
+    const result = await this.request('getMultipleAccounts', [
+      addresses,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64',
+        dataSlice: opts.dataSlice,
+        minContextSlot: opts.minContextSlot
+      }
+    ])
+
+    return {
+      context: result.context,
+      value: opts.encoding === 'jsonParsed' ? result.value : result.value.map(decodeAccount)
+    }
+  }
+
   async getBalance (owner, opts = {}) {
     const result = await this.request('getBalance', [
       owner,
@@ -263,380 +745,1482 @@ module.exports = class SolanaRPC {
     return this.getTokenAccountsByOwner(owner, filter, { ...opts, encoding: 'jsonParsed' })
   }
 
-  async getLatestBlockhash (opts = {}) {
-    const result = await this.request('getLatestBlockhash', [{
-      commitment: opts.commitment || this.commitment
-    }])
+  async getTokenAccounts (owner, filter = {}, opts = {}) {
+    // Without a filter it looks into both token programs
+    const filters = (filter.mint || filter.programId) ? [filter] : [{ programId: TOKEN_PROGRAM_ID }, { programId: TOKEN_2022_PROGRAM_ID }]
+    const results = await Promise.all(filters.map(filter => this.getTokenAccountsByOwner(owner, filter, { commitment: opts.commitment })))
 
-    return result.value
-  }
+    const accounts = results.flat().map(({ pubkey, account }) => {
+      return { address: pubkey, programId: account.owner, ...decodeTokenAccount(Buffer.from(account.data[0], 'base64')) }
+    })
 
-  async _subscribe (method, params) {
-    for await (const backoff of retry({ max: 5 })) {
-      try {
-        const id = await this.send(method, params)
+    const decimals = await this._mintDecimals(accounts.map(account => account.mint), opts)
 
-        if (!id) {
-          await backoff(new Error('Failed to subscribe'))
-          continue
-        }
+    return accounts.map(account => ({ ...account, decimals: decimals.get(account.mint) }))
+  }
 
-        return id
-      } catch (err) {
-        // Some RPC incorrectly reports invalid params when it's actually correct
-        // Error: Invalid params: unknown variant `commitment`, expected one of `all`, `allWithVotes`, `mentions`.
-        if (err.code === -32602) {
-          await backoff(err)
-          continue
-        }
+  async getTokenAccount (address, opts = {}) {
+    const account = await this.getAccountInfo(address, { commitment: opts.commitment })
 
-        throw err
+    if (!account) {
+      return null
+    }
+
+    if (!isTokenProgram(account.owner)) {
+      throw new Error('Not a token account: ' + address)
+    }
+
+    const decoded = decodeTokenAccount(account.data)
+    const decimals = await this._mintDecimals([decoded.mint], opts)
+
+    return { address, programId: account.owner, ...decoded, decimals: decimals.get(decoded.mint) }
+  }
+
+  async getMint (address, opts = {}) {
+    const account = await this.getAccountInfo(address, { commitment: opts.commitment })
+
+    if (!account) {
+      return null
+    }
+
+    if (!isTokenProgram(account.owner)) {
+      throw new Error('Not a token mint: ' + address)
+    }
+
+    return { address, programId: account.owner, ...decodeMint(account.data) }
+  }
+
+  async _mintDecimals (mints, opts) {
+    const unique = [...new Set(mints)]
+    const accounts = await this.getMultipleAccounts(unique, { commitment: opts.commitment })
+    const decimals = new Map()
+
+    for (let i = 0; i < unique.length; i++) {
+      decimals.set(unique[i], accounts[i] ? decodeMint(accounts[i].data).decimals : null)
+    }
+
+    return decimals
+  }
+
+  async getTokenBalance (address, opts = {}) {
+    const result = await this.request('getTokenAccountBalance', [
+      address,
+      {
+        commitment: opts.commitment || this.commitment
+      }
+    ])
+
+    return tokenAmount(result.value)
+  }
+
+  async getTokenSupply (mint, opts = {}) {
+    const result = await this.request('getTokenSupply', [
+      mint,
+      {
+        commitment: opts.commitment || this.commitment
+      }
+    ])
+
+    return tokenAmount(result.value)
+  }
+
+  async getTokenLargestAccounts (mint, opts = {}) {
+    const result = await this.request('getTokenLargestAccounts', [
+      mint,
+      {
+        commitment: opts.commitment || this.commitment
       }
+    ])
+
+    return result.value.map(value => ({ address: value.address, ...tokenAmount(value) }))
+  }
+
+  async getLatestBlockhash (opts = {}) {
+    const result = await this.request('getLatestBlockhash', [{
+      commitment: opts.commitment || this.commitment
+    }])
+
+    return result.value
+  }
+
+  async createTransaction (opts = {}) {
+    const tx = new TransactionBuilder(opts)
+
+    if (!tx.recentBlockhash) {
+      const { blockhash, lastValidBlockHeight } = await this.getLatestBlockhash({ commitment: opts.commitment })
+
+      tx.recentBlockhash = blockhash
+      tx.lastValidBlockHeight = lastValidBlockHeight
     }
+
+    return tx
   }
 
-  async logsSubscribe (mentions, opts = {}) {
-    if (!Array.isArray(mentions)) mentions = [mentions]
+  async getAddressLookupTable (address, opts = {}) {
+    const account = await this.getAccountInfo(address, { commitment: opts.commitment })
+
+    if (!account) {
+      return null
+    }
+
+    if (account.owner !== ADDRESS_LOOKUP_TABLE_PROGRAM_ID) {
+      throw new Error('Not an address lookup table: ' + address)
+    }
+
+    const addresses = []
+
+    for (let offset = LOOKUP_TABLE_META_SIZE; offset + 32 <= account.data.length; offset += 32) {
+      addresses.push(base58.encode(account.data.subarray(offset, offset + 32)))
+    }
+
+    return { key: address, addresses }
+  }
 
-    const id = await this._subscribe('logsSubscribe', [
-      { mentions },
+  async _subscribe (method, params, onMessage) {
+    const id = await this._subscribeId(method, params)
+
+    return this._addSubscription(method, params, id, onMessage)
+  }
+
+  async _subscribeId (method, params) {
+    for await (const backoff of retry({ max: 5 })) {
+      try {
+        const id = await this._send(method, params)
+
+        if (!id) {
+          await backoff(new Error('Failed to subscribe'))
+          continue
+        }
+
+        return id
+      } catch (err) {
+        // Some RPC incorrectly reports invalid params when it's actually correct
+        // Error: Invalid params: unknown variant `commitment`, expected one of `all`, `allWithVotes`, `mentions`.
+        if (err.code === -32602) {
+          await backoff(err)
+          continue
+        }
+
+        throw err
+      }
+    }
+  }
+
+  _addSubscription (method, params, id, onMessage) {
+    const handle = this._subscriptionHandle++
+
+    this._subscriptions.set(handle, { method, params, id, onMessage: onMessage || null })
+    this._handles.set(id, handle)
+
+    if (onMessage) {
+      this.socket.on('message', onMessage)
+    }
+
+    return handle
+  }
+
+  _removeSubscription (handle) {
+    const sub = this._subscriptions.get(handle)
+
+    if (!sub) return null
+
+    this._subscriptions.delete(handle)
+    this._handles.delete(sub.id)
+
+    if (sub.onMessage) {
+      this.socket.removeListener('message', sub.onMessage)
+    }
+
+    return sub
+  }
+
+  _onmessage (msg) {
+    // Notifications are rewritten to the stable handle so it survives reconnections
+    if (msg.params && this._handles.has(msg.params.subscription)) {
+      msg.params.subscription = this._handles.get(msg.params.subscription)
+    }
+  }
+
+  async _onreconnect () {
+    // Server-side ids from the previous connection are no longer valid
+    this._handles.clear()
+
+    const resubscribing = []
+
+    for (const [handle, sub] of this._subscriptions) {
+      resubscribing.push(this._resubscribe(handle, sub))
+    }
+
+    await Promise.all(resubscribing)
+  }
+
+  async _resubscribe (handle, sub) {
+    let id = null
+
+    try {
+      id = await this._subscribeId(sub.method, sub.params)
+    } catch (err) {
+      this.socket.emit('error', err)
+      return
+    }
+
+    // Unsubscribed while it was being restored
+    if (this._subscriptions.get(handle) !== sub) {
+      this._send(unsubscribeMethod(sub.method), [id]).catch(noop)
+      return
+    }
+
+    sub.id = id
+    this._handles.set(id, handle)
+  }
+
+  async logsSubscribe (mentions, opts = {}) {
+    return this._subscribe('logsSubscribe', [
+      logsFilter(mentions),
       { commitment: opts.commitment || this.commitment }
     ])
-
-    return id
   }
 
   async blockSubscribe (mentions, opts = {}) {
+    return this._subscribe('blockSubscribe', this._blockSubscribeParams(mentions, opts))
+  }
+
+  _blockSubscribeParams (mentions, opts) {
     const commitment = opts.commitment || (this.commitment === 'processed' ? 'confirmed' : this.commitment)
 
-    let params = null
+    let params = null
+
+    if (mentions === 'all') {
+      params = 'all'
+    } else if (mentions && typeof mentions === 'object' && mentions.mentionsAccountOrProgram) {
+      params = mentions
+    } else if (mentions && typeof mentions === 'string') {
+      params = { mentionsAccountOrProgram: mentions }
+    } else {
+      throw new Error('Param is required')
+    }
+
+    return [
+      params,
+      {
+        commitment,
+        encoding: opts.encoding || 'json',
+        transactionDetails: opts.transactionDetails || 'full',
+        maxSupportedTransactionVersion: 0,
+        showRewards: true
+      }
+    ]
+  }
+
+  async onAccountChange (address, cb, opts = {}) {
+    return this._listen('accountSubscribe', [
+      address,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64'
+      }
+    ], opts.idl ? onDecodedAccount : cb)
+
+    function onDecodedAccount (value, context) {
+      cb(decodeIdlAccount(decodeAccount(value), opts.idl, opts.name), context)
+    }
+  }
+
+  async onProgramAccountChange (programId, cb, opts = {}) {
+    return this._listen('programSubscribe', [
+      programId,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64',
+        filters: encodeFilters(opts.filters)
+      }
+    ], opts.idl ? onDecodedAccount : cb)
+
+    function onDecodedAccount (value, context) {
+      const keyed = { pubkey: value.pubkey, account: decodeIdlAccount(decodeAccount(value.account), opts.idl, opts.name) }
+
+      cb(keyed, context)
+    }
+  }
+
+  async onLogs (mentions, cb, opts = {}) {
+    return this._listen('logsSubscribe', [
+      logsFilter(mentions),
+      { commitment: opts.commitment || this.commitment }
+    ], (opts.parse || opts.idl) ? onParsedLogs : cb)
+
+    function onParsedLogs (value, context) {
+      if (opts.parse) value.invocations = parseLogs(value.logs)
+      if (opts.idl) value.events = coder(opts.idl).decodeEvents(value.logs)
+
+      cb(value, context)
+    }
+  }
+
+  async onBlock (mentions, cb, opts = {}) {
+    return this._listen('blockSubscribe', this._blockSubscribeParams(mentions, opts), cb)
+  }
+
+  async onSlotChange (cb) {
+    return this._listen('slotSubscribe', [], cb)
+  }
+
+  async onRootChange (cb) {
+    return this._listen('rootSubscribe', [], cb)
+  }
+
+  async onSignature (signature, cb, opts = {}) {
+    const id = await this._listen('signatureSubscribe', [
+      signature,
+      {
+        commitment: opts.commitment || this.commitment,
+        enableReceivedNotification: !!opts.enableReceivedNotification
+      }
+    ], (value, context) => {
+      // The server removes the subscription by itself after the final notification
+      if (value !== 'receivedSignature') {
+        this._removeSubscription(id)
+      }
+
+      cb(value, context)
+    })
+
+    return id
+  }
+
+  async _listen (method, params, cb) {
+    const notification = method.replace(/Subscribe$/, 'Notification')
+
+    const id = await this._subscribe(method, params, onMessage)
+
+    return id
+
+    function onMessage (msg) {
+      if (msg.method === notification && msg.params.subscription === id) {
+        const result = msg.params.result
+
+        if (result && typeof result === 'object' && result.context) {
+          cb(result.value, result.context)
+        } else {
+          cb(result)
+        }
+      }
+    }
+  }
+
+  subscribe (method, params, opts) {
+    return new SubscriptionStream(this, method, params, opts)
+  }
+
+  accountChanges (address, opts = {}) {
+    return this.subscribe('accountSubscribe', [
+      address,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64'
+      }
+    ], opts)
+  }
+
+  programAccountChanges (programId, opts = {}) {
+    return this.subscribe('programSubscribe', [
+      programId,
+      {
+        commitment: opts.commitment || this.commitment,
+        encoding: opts.encoding || 'base64',
+        filters: encodeFilters(opts.filters)
+      }
+    ], opts)
+  }
+
+  logs (mentions, opts = {}) {
+    return this.subscribe('logsSubscribe', [
+      logsFilter(mentions),
+      { commitment: opts.commitment || this.commitment }
+    ], opts)
+  }
+
+  slots (opts) {
+    return this.subscribe('slotSubscribe', [], opts)
+  }
+
+  roots (opts) {
+    return this.subscribe('rootSubscribe', [], opts)
+  }
+
+  async unsubscribe (id) {
+    const sub = this._subscriptions.get(id)
+
+    if (!sub) {
+      throw new Error('Subscription not found: ' + id)
+    }
+
+    return this.send(unsubscribeMethod(sub.method), [id])
+  }
+
+  // Compat
+  async accountUnsubscribe (id) {
+    await this.unsubscribe(id)
+  }
+
+  async request (method, params, opts = {}) {
+    // Per-call options can't be shared by a batch, even falsy ones like { retry: false }
+    if (this.batching && opts.url === undefined && opts.retry === undefined && opts.timeout === undefined && opts.signal === undefined) {
+      return this._enqueue(method, params)
+    }
+
+    return this._request(method, params, opts)
+  }
+
+  async _request (method, params, opts) {
+    const data = await this.api({
+      jsonrpc: '2.0',
+      id: this.id++,
+      method,
+      params
+    }, opts)
+
+    return data.result
+  }
+
+  async batch (requests) {
+    const body = requests.map(req => ({
+      jsonrpc: '2.0',
+      id: this.id++,
+      method: req.method,
+      params: req.params
+    }))
+
+    const data = await this.api(body)
+
+    if (!Array.isArray(data)) {
+      throw new RPCError('Batch requests are not supported', { method: 'batch' })
+    }
+
+    const responses = new Map(data.map(res => [res.id, res]))
+
+    return body.map(req => {
+      const res = responses.get(req.id)
+
+      if (!res) {
+        return new RPCError('Missing response in batch', { method: req.method })
+      }
+
+      if (res.error) {
+        return RPCError.from(res.error, req.method)
+      }
+
+      return res.result
+    })
+  }
+
+  _enqueue (method, params) {
+    return new Promise((resolve, reject) => {
+      this._batchQueue.push({ method, params, resolve, reject })
+
+      // Everything requested until the next loop iteration goes in the same batch
+      if (this._batchTimer === null) {
+        this._batchTimer = setImmediate(() => this._flush())
+      }
+    })
+  }
+
+  _flush () {
+    const queue = this._batchQueue
+
+    this._batchQueue = []
+    this._batchTimer = null
+
+    for (let i = 0; i < queue.length; i += this.batchSize) {
+      this._flushBatch(queue.slice(i, i + this.batchSize))
+    }
+  }
+
+  async _flushBatch (queue) {
+    if (queue.length === 1) {
+      const { method, params, resolve, reject } = queue[0]
+
+      this._request(method, params).then(resolve, reject)
+
+      return
+    }
+
+    let results = null
+
+    try {
+      results = await this.batch(queue)
+    } catch (err) {
+      for (const req of queue) req.reject(err)
+      return
+    }
+
+    for (let i = 0; i < queue.length; i++) {
+      const { method, params, resolve, reject } = queue[i]
+      const result = results[i]
+
+      if (result instanceof RPCError) {
+        // Single requests have their own retries
+        if (isRetryableError(result)) {
+          this._request(method, params).then(resolve, reject)
+        } else {
+          reject(result)
+        }
+
+        continue
+      }
+
+      resolve(result)
+    }
+  }
+
+  async send (method, params, opts = {}) {
+    if (isUnsubscribeMethod(method) && Array.isArray(params)) {
+      const sub = this._removeSubscription(params[0])
+
+      if (sub) {
+        params = [sub.id, ...params.slice(1)]
+      }
+    }
+
+    const result = await this._send(method, params, opts)
+
+    if (isSubscribeMethod(method) && opts.wait !== false) {
+      return this._addSubscription(method, params, result)
+    }
+
+    return result
+  }
+
+  async _send (method, params, opts = {}) {
+    const policy = this._retryPolicy(opts, isRetryableSocketError)
+
+    for await (const backoff of retry(policy)) {
+      try {
+        return await this._sendOnce(method, params, opts)
+      } catch (err) {
+        if (opts.signal && opts.signal.aborted) throw err
+        if (!policy.retryable(err)) throw err
+
+        await backoff(err)
+      }
+    }
+  }
+
+  async _sendOnce (method, params, opts) {
+    const id = this.id++
+
+    this.socket.send(JSON.stringify({
+      jsonrpc: '2.0',
+      id,
+      method,
+      params
+    }))
+
+    if (opts.wait === false) {
+      return { id }
+    }
+
+    const out = await this.socket.waitForMessage(msg => msg.id === id, {
+      timeout: opts.timeout,
+      signal: opts.signal
+    })
+
+    if (out.error) {
+      throw RPCError.from(out.error, method)
+    }
+
+    return out.result
+  }
+
+  async api (body, opts = {}) {
+    const method = Array.isArray(body) ? 'batch' : body.method
+    const policy = this._retryPolicy(opts, isRetryableError)
+    const signal = opts.signal || null
+
+    let error = null
+
+    for await (const backoff of retry(policy)) {
+      if (signal) signal.throwIfAborted()
+
+      const url = opts.url || this._url()
+      const limiter = this._limiter(url)
+
+      await limiter.acquire()
+
+      const started = Date.now()
+
+      try {
+        let response = null
+        let data = null
+
+        try {
+          response = await this.fetch(url, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body),
+            agent: typeof this.agent === 'function' ? this.agent() : this.agent,
+            timeout: opts.timeout || this.timeout,
+            signal
+          })
+
+          if (response.status !== 429 && response.status !== 402) {
+            data = await response.json()
+          }
+        } finally {
+          limiter.release()
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'))
+
+        if (retryAfter) {
+          // Applies to every request going to this endpoint
+          limiter.pause(retryAfter)
+        }
+
+        if (response.status === 402) {
+          // Proxy error probably
+          this.endpoints.failure(url)
+          error = new RPCError('Payment required', { code: 402, method })
+          break
+        }
+
+        let err = null
+
+        if (response.status === 429) {
+          err = new RateLimitError('Too many requests', { code: 429, method })
+        } else if (data.error) {
+          err = RPCError.from(data.error, method)
+        } else if (data.code && data.message) {
+          // Not a JSON-RPC response, i.e. from a gateway, where -32007 is "request limit reached"
+          err = data.code === -32007 ? new RateLimitError(data.message, { code: data.code, method }) : RPCError.from(data, method)
+        } else {
+          this.endpoints.success(url, Date.now() - started)
+
+          return data
+        }
+
+        // Otherwise the endpoint answered, the error is caused by the request itself
+        if (isRetryableError(err)) {
+          this.endpoints.failure(url)
+        } else {
+          this.endpoints.success(url, Date.now() - started)
+        }
+
+        if (policy.retryable(err)) {
+          await backoff(err)
+          continue
+        }
+
+        error = err
+
+        break
+      } catch (err) {
+        if (err instanceof RPCError) throw err
+        if (signal && signal.aborted) throw err
+
+        this.endpoints.failure(url)
+
+        if (!policy.retryable(err)) throw err
+
+        await backoff(err)
+      }
+    }
+
+    throw error || new RPCError('Unknown error', { method })
+  }
+
+  _retryPolicy (opts, retryable) {
+    const policy = opts.retry === false ? { ...this.retry, max: 0 } : { ...this.retry, ...opts.retry }
+
+    return {
+      max: policy.max,
+      delay: policy.delay,
+      strategy: policy.strategy === 'exponential' ? exponentialBackoff : policy.strategy,
+      jitter: policy.jitter,
+      retryable: policy.retryable || retryable
+    }
+  }
+
+  _url () {
+    return this.endpoints.pick()
+  }
+
+  _limiter (url) {
+    let limiter = this._limiters.get(url)
+
+    if (!limiter) {
+      limiter = new RateLimiter({ rate: this.rateLimit, burst: this.burst, concurrency: this.maxInflight })
+      this._limiters.set(url, limiter)
+    }
+
+    return limiter
+  }
+}
+
+SolanaRPC.RPCError = RPCError
+SolanaRPC.RateLimitError = RateLimitError
+SolanaRPC.TransactionError = TransactionError
+SolanaRPC.BlockhashExpiredError = BlockhashExpiredError
+
+SolanaRPC.base58 = base58
+
+SolanaRPC.TOKEN_PROGRAM_ID = TOKEN_PROGRAM_ID
+SolanaRPC.TOKEN_2022_PROGRAM_ID = TOKEN_2022_PROGRAM_ID
+SolanaRPC.decodeMint = decodeMint
+SolanaRPC.decodeTokenAccount = decodeTokenAccount
+
+SolanaRPC.normalizeTransaction = normalizeTransaction
+SolanaRPC.decodeTransaction = decodeTransaction
+SolanaRPC.parseLogs = parseLogs
+
+SolanaRPC.AnchorCoder = AnchorCoder
+
+SolanaRPC.Keypair = Keypair
+SolanaRPC.TransactionBuilder = TransactionBuilder
+SolanaRPC.isPublicKey = isPublicKey
+SolanaRPC.isOnCurve = isOnCurve
+SolanaRPC.createProgramAddress = createProgramAddress
+SolanaRPC.findProgramAddress = findProgramAddress
+
+module.exports = SolanaRPC
+
+class BlockStream {
+  constructor (solana, opts = {}) {
+    this.solana = solana
+
+    this.start = opts.start || 0
+    this.end = typeof opts.end === 'number' ? opts.end : -1
+    this.length = 0
+    this.snapshot = !opts.live && opts.snapshot !== false
+    this.live = !!opts.live
+
+    this.getBlock = opts.getBlock || noopAsync
+
+    this.inflight = new Map()
+    this.concurrency = opts.prefetch || 20
+
+    this.slot = 0
+
+    // Last slot that was yielded and processed by the consumer
+    this.checkpoint = null
+
+    this.store = opts.resume || null
+    this.onCheckpoint = opts.onCheckpoint || null
+
+    // Finalized blocks can't be rolled back, and 'processed' is not supported for blocks
+    this.commitment = opts.finalized ? 'finalized' : (opts.commitment || (solana.commitment === 'processed' ? 'confirmed' : solana.commitment))
+
+    // Slots known to have a block, in order, and until where they are known
+    this._blocks = []
+    this._knownUntil = this.start
+
+    // Delivered blocks as { slot, blockhash } to detect when they get orphaned
+    this.forks = !!opts.forks
+    this.history = []
+    this.onRollback = opts.onRollback || null
+
+    // Blocks of a new fork that are delivered before reading further
+    this._pending = []
+
+    // Live mode driven by 'slot', 'root', or 'block' notifications instead of polling
+    this.subscribe = opts.subscribe || null
+
+    // Binary encodings are smaller and decoded into the same shape as 'json'
+    this.encoding = opts.encoding || 'json'
+    this.normalize = !!opts.normalize
+
+    // Delay between polls of the tip while there are no new slots
+    this.interval = opts.interval || 500
+
+    this._subscription = null
+    this._wake = null
+    this._signaled = false
+    this._onclose = this._notify.bind(this)
+  }
+
+  [Symbol.asyncIterator] () {
+    return this._stream()
+  }
+
+  async * _stream () {
+    try {
+      await this._openp()
+
+      while (true) {
+        const block = await this._readp()
+
+        if (block === -1) {
+          return
+        }
+
+        yield block
+
+        // Resumed means the consumer is done with it, prefetched blocks are never checkpointed
+        await this._checkpoint(this.slot)
+      }
+    } finally {
+      await this._closep()
+    }
+  }
+
+  async _checkpoint (slot) {
+    this.checkpoint = slot
+
+    if (this.store) await this.store.put(slot)
+    if (this.onCheckpoint) await this.onCheckpoint(slot)
+  }
+
+  async _openp () {
+    if (this.store) {
+      const slot = await this.store.get()
+
+      if (typeof slot === 'number') {
+        this.start = slot + 1
+        this.checkpoint = slot
+        this._knownUntil = this.start
+      }
+    }
+
+    if (this.end === -1) {
+      this.length = await this.solana.getSlot({ commitment: this.commitment })
+    }
+
+    if (this.snapshot && this.end === -1) {
+      this.end = this.length
+    }
+
+    if (this.live && this.subscribe) {
+      this._subscription = await this._subscribeSlots()
+
+      if (this._subscription !== null) {
+        this.solana.socket.on('close', this._onclose)
+      }
+    }
+  }
+
+  async _closep () {
+    if (this._subscription === null) {
+      return
+    }
+
+    this.solana.socket.removeListener('close', this._onclose)
+
+    await this.solana.unsubscribe(this._subscription).catch(noop)
+
+    this._subscription = null
+    this._notify()
+  }
+
+  async _subscribeSlots () {
+    if (this.subscribe === 'block') {
+      try {
+        return await this.solana.onBlock('all', value => {
+          // Saves the request, unless there are too many blocks waiting already
+          if (value.block && value.slot >= this.start && this.inflight.size < this.concurrency) {
+            // Notifications can't throw, a block that fails to decode is fetched with getBlock instead
+            try {
+              this.inflight.set(value.slot, Promise.resolve(decodeBlock(value.block)))
+            } catch {}
+          }
+
+          this._advance(value.slot)
+        }, { commitment: this.commitment, encoding: this.encoding })
+      } catch {
+        // Not every node supports blockSubscribe
+      }
+    }
+
+    try {
+      if (this.subscribe === 'root') {
+        return await this.solana.onRootChange(root => this._advance(root))
+      }
+
+      // Slots are notified as processed, so they only wake up the check of the tip at the stream's commitment
+      return await this.solana.onSlotChange(() => this._notify())
+    } catch {
+      // I.e. the socket is not connected, then it keeps polling
+      return null
+    }
+  }
+
+  _advance (slot) {
+    if (slot > this.length) {
+      this.length = slot
+    }
+
+    this._notify()
+  }
+
+  _notify () {
+    if (this._wake === null) {
+      // It was not waiting yet, i.e. in the middle of polling the tip
+      this._signaled = true
+      return
+    }
+
+    const wake = this._wake
+
+    this._wake = null
+    wake()
+  }
+
+  async _wait () {
+    // Falls back to polling while the socket is down
+    if (this._subscription === null || this.solana.socket.readyState !== 1) {
+      await new Promise(resolve => setTimeout(resolve, this.interval))
+      return false
+    }
+
+    if (this._signaled) {
+      this._signaled = false
+      return true
+    }
+
+    // A silent socket is not trusted for too long
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._wake = null
+        resolve(false)
+      }, NOTIFICATION_TIMEOUT)
+
+      this._wake = () => {
+        clearTimeout(timer)
+        resolve(true)
+      }
+    })
+  }
+
+  async _readp () {
+    if (this._pending.length > 0) {
+      const block = this._pending.shift()
+
+      this.slot = block.slot
+
+      return this._deliver(block)
+    }
+
+    if (this.live) {
+      while (this.start > this.length) {
+        // Root and block notifications move the tip by themselves
+        if (this.subscribe !== 'slot' && this._subscription !== null && this.solana.socket.readyState === 1 && await this._wait()) {
+          continue
+        }
+
+        this._signaled = false
+
+        const currentSlot = await this.solana.getSlot({ commitment: this.commitment })
+
+        // Polling stays one slot behind the tip
+        if (currentSlot <= this.start) {
+          const polled = Date.now()
+
+          await this._wait()
+
+          // Slot notifications come faster than the tip moves at the stream's commitment
+          const remaining = this.interval - (Date.now() - polled)
+
+          if (remaining > 0) await new Promise(resolve => setTimeout(resolve, remaining))
+
+          continue
+        }
+
+        this.length = currentSlot
+      }
+    }
+
+    const end = this.live ? -1 : (this.end === -1 ? this.length : this.end)
+
+    if (end >= 0 && this.start >= end) {
+      return -1
+    }
+
+    const slot = this.start
+
+    await this._resolveSlots(slot, end)
+
+    this.start++
+    this.slot = slot
+
+    // Skipped slots are known upfront so there is nothing to fetch
+    if (this._blocks[0] !== slot) {
+      return Symbol.for('solana-block-missing')
+    }
+
+    this._maybePrefetch()
+    this._blocks.shift()
+
+    let block = null
+
+    try {
+      block = await this._getBlockWithCache(slot)
+
+      if (!block) {
+        throw new Error('Block not available: ' + slot)
+      }
+
+      // Due skipped/missing blocks you can't rely on parentSlot
+      block.slot = slot
+    } catch (err) {
+      block = missingBlock(err)
+    }
+
+    if (this.forks && typeof block !== 'symbol') {
+      const segment = await this._connect(block)
+
+      // Parents that were missed on the previous fork go first
+      block = segment.shift()
+
+      this.slot = block.slot
+      this._pending.push(...segment)
+    }
+
+    return this._deliver(block)
+  }
+
+  _deliver (block) {
+    if (this.normalize && typeof block !== 'symbol') {
+      return normalizeBlock(block, block.slot)
+    }
+
+    return block
+  }
+
+  async _resolveSlots (slot, end) {
+    if (slot < this._knownUntil) {
+      return
+    }
+
+    // Live, every slot until the tip is known at once
+    const until = Math.min(this.live ? Math.max(this.length, slot) + 1 : end, slot + SLOTS_WINDOW)
+
+    // Listing a few slots at the tip would cost a request per block, skipped ones are reported by getBlock anyway
+    if (this.live && until - slot < MIN_SLOTS_LISTING) {
+      this._blocks = []
+
+      for (let i = slot; i < until; i++) this._blocks.push(i)
+    } else {
+      this._blocks = await this.solana.getBlockSlots(slot, until, { commitment: this.commitment })
+    }
+
+    this._knownUntil = until
+  }
+
+  async _connect (block) {
+    const segment = [block]
+
+    let index = -1
+
+    // Walk back the parents until one of them was delivered
+    while (this.history.length > 0) {
+      const head = segment[0]
+
+      index = this.history.findIndex(entry => entry.slot === head.parentSlot)
+
+      if (index !== -1 && this.history[index].blockhash === head.previousBlockhash) {
+        break
+      }
+
+      if (head.parentSlot < this.history[0].slot) {
+        throw new Error('Fork is deeper than the tracked history: ' + block.slot)
+      }
+
+      const parent = await this.solana.getBlock(head.parentSlot, { commitment: this.commitment, encoding: this.encoding }).catch(missingBlock)
+
+      // The chain can't be followed through a missing parent, so the closest delivered block before it is the ancestor
+      if (!parent || typeof parent === 'symbol') {
+        index = this.history.findLastIndex(entry => entry.slot < head.parentSlot)
+
+        if (index === -1) {
+          throw new Error('Fork is deeper than the tracked history: ' + block.slot)
+        }
+
+        break
+      }
+
+      parent.slot = head.parentSlot
+      segment.unshift(parent)
+    }
+
+    const orphaned = index === -1 ? [] : this.history.splice(index + 1)
+
+    if (orphaned.length > 0) {
+      await this._rollback(this.history[index], orphaned)
+    }
 
-    if (mentions === 'all') {
-      params = 'all'
-    } else if (mentions && typeof mentions === 'object' && mentions.mentionsAccountOrProgram) {
-      params = mentions
-    } else if (mentions && typeof mentions === 'string') {
-      params = { mentionsAccountOrProgram: mentions }
-    } else {
-      throw new Error('Param is required')
+    for (const block of segment) {
+      this.history.push({ slot: block.slot, blockhash: block.blockhash })
     }
 
-    const id = await this._subscribe('blockSubscribe', [
-      params,
-      {
-        commitment,
-        encoding: opts.encoding || 'json',
-        transactionDetails: opts.transactionDetails || 'full',
-        maxSupportedTransactionVersion: 0,
-        showRewards: true
-      }
-    ])
+    if (this.history.length > MAX_FORK_HISTORY) {
+      this.history.splice(0, this.history.length - MAX_FORK_HISTORY)
+    }
 
-    return id
+    return segment
   }
 
-  async onAccountChange (address, cb, opts = {}) {
-    const id = await this._subscribe('accountSubscribe', [
-      address,
-      {
-        commitment: opts.commitment || this.commitment,
-        encoding: opts.encoding || 'base64'
-      }
-    ])
-
-    this.socket.on('message', onMessage)
+  async _rollback (ancestor, orphaned) {
+    // Prefetched blocks and listed slots might belong to the abandoned fork
+    this.inflight.clear()
+    this._blocks = []
+    this._knownUntil = this.start
 
-    this._subscriptions.set(id, onMessage)
+    if (this.onRollback) await this.onRollback({ ancestor, orphaned })
 
-    return id
+    if (this.checkpoint !== null && this.checkpoint > ancestor.slot) {
+      await this._checkpoint(ancestor.slot)
+    }
+  }
 
-    function onMessage (msg) {
-      if (msg.method === 'accountNotification' && msg.params.subscription === id) {
-        cb(msg.params.result.value, msg.params.result.context)
+  _maybePrefetch () {
+    for (const slot of this._blocks.slice(0, this.concurrency)) {
+      if (!this.inflight.has(slot)) {
+        this._getBlockWithCache(slot).catch(noop)
       }
     }
   }
 
-  async accountUnsubscribe (id) {
-    const onMessage = this._subscriptions.get(id)
+  async _getBlockWithCache (slot) {
+    // Shift value if exists
+    if (this.inflight.has(slot)) {
+      const promise = this.inflight.get(slot)
 
-    if (!onMessage) {
-      throw new Error('Subscription not found: ' + id)
-    }
+      promise.catch(noop)
 
-    this._subscriptions.delete(id)
+      this.inflight.delete(slot)
 
-    this.socket.removeListener('message', onMessage)
+      return promise
+    }
 
-    await this.send('accountUnsubscribe', [id])
-  }
+    // Fetch
+    const promise = this.getBlock(slot).then(block => block || this.solana.getBlock(slot, { commitment: this.commitment, encoding: this.encoding }))
 
-  async request (method, params) {
-    const data = await this.api({
-      jsonrpc: '2.0',
-      id: this.id++,
-      method,
-      params
+    promise.catch(noop).finally(() => {
+      this._maybePrefetch()
     })
 
-    return data.result
+    // Save
+    this.inflight.set(slot, promise)
+
+    return promise
   }
+}
 
-  async send (method, params, opts = {}) {
-    const id = this.id++
+class SubscriptionStream {
+  constructor (solana, method, params, opts = {}) {
+    this.solana = solana
 
-    this.socket.send(JSON.stringify({
-      jsonrpc: '2.0',
-      id,
-      method,
-      params
-    }))
+    this.method = method
+    this.params = params || []
+    this.notification = method.replace(/Subscribe$/, 'Notification')
 
-    if (opts.wait === false) {
-      return { id }
-    }
+    this.id = null
+    this.highWaterMark = opts.highWaterMark || 1024
 
-    const out = await this.socket.waitForMessage(msg => msg.id === id)
+    this.queue = []
+    this.error = null
+    this.ended = false
 
-    if (out.error) {
-      const err = new Error(out.error.message)
-      err.code = out.error.code
-      throw err
-    }
+    this._wake = null
+    this._onmessage = this._onmessage.bind(this)
+  }
 
-    return out.result
+  [Symbol.asyncIterator] () {
+    return this._stream()
   }
 
-  async api (body) {
-    let error = null
+  async * _stream () {
+    await this._openp()
 
-    for await (const backoff of retry({ max: 3, delay: 1000, strategy: 'linear' })) {
-      try {
-        const response = await fetch(this._url(), {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify(body),
-          agent: typeof this.agent === 'function' ? this.agent() : this.agent,
-          timeout: 30000
-        })
+    try {
+      while (true) {
+        const result = await this._readp()
 
-        if (response.status === 402) {
-          // Proxy error probably
-          error = new Error('Payment required')
-          break
+        if (result === -1) {
+          return
         }
 
-        const data = await response.json()
+        yield result
+      }
+    } finally {
+      await this._closep()
+    }
+  }
 
-        if (data.error) {
-          if (data.error.code === 429) {
-            await backoff(new Error(data.error.message))
-            continue
-          }
+  async _openp () {
+    this.id = await this.solana._subscribe(this.method, this.params, this._onmessage)
+  }
 
-          if (data.error.code === -32602) {
-            error = new Error(data.error.message + (data.error.data ? (': ' + data.error.data) : ''))
-            break
-          }
+  async _readp () {
+    while (this.queue.length === 0) {
+      if (this.error) throw this.error
+      if (this.ended) return -1
 
-          if (data.error.code === -32701) {
-            // "no available nodes found for platform solana-rpc"
-            await backoff(new Error(data.error.message))
-            continue
-          }
+      await new Promise(resolve => {
+        this._wake = resolve
+      })
+    }
 
-          if (data.error.code === -32504) {
-            // Request timed out
-            await backoff(new Error(data.error.message))
-            continue
-          }
+    return this.queue.shift()
+  }
 
-          error = new Error(data.error.message)
-          error.code = data.error.code
+  async _closep () {
+    if (!this.solana._subscriptions.has(this.id)) {
+      return
+    }
 
-          break
-        }
+    // The subscription is untracked before sending so a closed socket is not an error here
+    await this.solana.unsubscribe(this.id).catch(noop)
+  }
 
-        if (data.code && data.message) {
-          if (data.code === -32007) {
-            await backoff(new Error(data.message))
-            continue
-          }
+  _onmessage (msg) {
+    if (msg.method !== this.notification || msg.params.subscription !== this.id) {
+      return
+    }
 
-          error = new Error(data.message)
-          error.code = data.code
+    // Only the notifications after the overflow are lost, the buffered ones are still read before the error
+    if (this.error) {
+      return
+    }
 
-          break
-        }
+    const result = msg.params.result
 
-        return data
-      } catch (err) {
-        await backoff(err)
-      }
+    if (this.queue.length >= this.highWaterMark) {
+      this.error = new Error('Subscription buffer overflow: ' + this.highWaterMark)
+      this.solana.unsubscribe(this.id).catch(noop)
+    } else {
+      this.queue.push(result)
+    }
+
+    // The server removes the subscription by itself after the final notification
+    if (this.method === 'signatureSubscribe' && result.value !== 'receivedSignature') {
+      this.ended = true
+      this.solana._removeSubscription(this.id)
     }
 
-    throw error || new Error('Unknown error')
+    if (this._wake) {
+      this._wake()
+      this._wake = null
+    }
   }
+}
 
-  _url () {
-    const url = this.urls[this._urlIndex++]
+function maybeEncodeTransaction (tx) {
+  if (typeof tx === 'object' && tx && tx.serialize) {
+    const serialized = tx.serialize()
+    const encoded = Buffer.from(serialized).toString('base64')
 
-    if (this._urlIndex >= this.urls.length) {
-      this._urlIndex = 0
-    }
+    return encoded
+  }
+
+  return tx
+}
 
-    return url
+// Listed but then skipped, or missing in long-term storage
+function missingBlock (err) {
+  if (err.code === -32007 || err.code === -32009) {
+    return Symbol.for('solana-block-missing')
   }
+
+  throw err
 }
 
-class BlockStream {
-  constructor (solana, opts = {}) {
-    this.solana = solana
+function isRetryableError (err) {
+  if (err instanceof RPCError) {
+    return err instanceof RateLimitError || RETRYABLE_CODES.includes(err.code)
+  }
 
-    this.start = opts.start || 0
-    this.end = typeof opts.end === 'number' ? opts.end : -1
-    this.length = 0
-    this.snapshot = !opts.live && opts.snapshot !== false
-    this.live = !!opts.live
+  // Network errors and timeouts, but not user cancellations
+  return err.name !== 'AbortError'
+}
 
-    this.getBlock = opts.getBlock || noopAsync
+function isRetryableSocketError (err) {
+  return err instanceof RPCError && isRetryableError(err)
+}
 
-    this.inflight = new Map()
-    this.concurrency = opts.prefetch || 20
+function exponentialBackoff ({ delay, count }) {
+  return delay * 2 ** (count - 1)
+}
 
-    this.slot = 0
+function parseRetryAfter (value) {
+  if (!value) {
+    return 0
   }
 
-  [Symbol.asyncIterator] () {
-    return this._stream()
+  // Either seconds or an HTTP date
+  const seconds = Number(value)
+  const ms = Number.isNaN(seconds) ? Date.parse(value) - Date.now() : seconds * 1000
+
+  return ms > 0 ? ms : 0
+}
+
+function decodeAccount (value) {
+  if (!value) {
+    return null
   }
 
-  async * _stream () {
-    await this._openp()
+  return {
+    data: Buffer.from(value.data[0], value.data[1]),
+    executable: value.executable,
+    lamports: value.lamports,
+    owner: value.owner,
+    rentEpoch: value.rentEpoch,
+    space: value.space
+  }
+}
 
-    while (true) {
-      const block = await this._readp()
+function decodeBlock (block) {
+  if (block.transactions) {
+    block.transactions.forEach(decodeEncodedTransaction)
+  }
 
-      if (block === -1) {
-        return
-      }
+  return block
+}
 
-      yield block
-    }
+// I.e. { transaction: [data, 'base64'], meta, version }
+function decodeEncodedTransaction (tx) {
+  if (!Array.isArray(tx.transaction)) {
+    return tx
   }
 
-  async _openp () {
-    if (this.end === -1) {
-      this.length = await this.solana.getSlot()
-    }
+  const [data, encoding] = tx.transaction
+  const { signatures, message, version } = decodeTransaction(encoding === 'base58' ? base58.decode(data) : Buffer.from(data, encoding))
 
-    if (this.snapshot && this.end === -1) {
-      this.end = this.length
-    }
+  tx.transaction = { signatures, message }
+
+  if (tx.version === undefined) {
+    tx.version = version
   }
 
-  async _readp () {
-    if (this.live) {
-      while (this.start > this.length) {
-        const currentSlot = await this.solana.getSlot()
+  return tx
+}
 
-        if (this.start === currentSlot) {
-          await new Promise(resolve => setTimeout(resolve, 500))
-          continue
-        }
+function normalizeBlock (block, slot) {
+  block.transactions = block.transactions.map(tx => normalizeTransaction(tx, { slot, blockTime: block.blockTime }))
 
-        this.length = currentSlot
-      }
-    }
+  return block
+}
 
-    const end = this.live ? -1 : (this.end === -1 ? this.length : this.end)
+function tokenAmount (value) {
+  return { amount: BigInt(value.amount), decimals: value.decimals }
+}
 
-    if (end >= 0 && this.start >= end) {
-      return -1
-    }
+function coder (idl) {
+  let coder = coders.get(idl)
 
-    this._maybePrefetch()
+  if (!coder) {
+    coder = new AnchorCoder(idl)
+    coders.set(idl, coder)
+  }
 
-    const slot = this.start++
-    let block = null
+  return coder
+}
 
-    try {
-      block = await this._getBlockWithCache(slot)
+// Notifications can't throw, accounts that don't match the IDL are left without decoding
+function decodeIdlAccount (account, idl, name) {
+  if (!account) {
+    return null
+  }
 
-      // We actually allow null blocks if it was skipped as per the catch below
-      if (!block) {
-        throw new Error('Block not available: ' + slot)
-      }
+  try {
+    const decoded = coder(idl).decodeAccount(account.data, name)
 
-      // Due skipped/missing blocks you can't rely on parentSlot
-      block.slot = slot
-    } catch (err) {
-      // E.g. "Slot 123 was skipped, or missing due to ledger jump to recent snapshot"
-      // E.g. "Slot 123 was skipped, or missing in long-term storage"
+    return { ...account, name: decoded.name, decoded: decoded.data }
+  } catch {
+    return { ...account, name: null, decoded: null }
+  }
+}
 
-      if (err.message.includes('was skipped, or missing')) {
-        block = Symbol.for('solana-block-missing')
-      } else {
-        throw err
+function decodeKeyedAccount ({ pubkey, account }) {
+  return { pubkey, account: decodeAccount(account) }
+}
+
+function encodeFilters (filters) {
+  if (!filters) {
+    return undefined
+  }
+
+  return filters.map(filter => {
+    // Raw bytes are sent as base64, otherwise they are expected as a base58 string
+    if (filter.memcmp && isBuffer(filter.memcmp.bytes)) {
+      return {
+        memcmp: {
+          offset: filter.memcmp.offset,
+          bytes: Buffer.from(filter.memcmp.bytes).toString('base64'),
+          encoding: 'base64'
+        }
       }
     }
 
-    return block
+    return filter
+  })
+}
+
+// Same as the RPC does for getProgramAccounts, other filters are trusted from the scan
+function matchesFilters (account, filters) {
+  if (!filters || !isBuffer(account.data)) {
+    return true
   }
 
-  _maybePrefetch () {
-    if (this.inflight.length >= 100) {
-      return
+  for (const filter of filters) {
+    if (typeof filter.dataSize === 'number' && account.data.length !== filter.dataSize) {
+      return false
     }
 
-    const max = Math.min(this.end === -1 ? this.length : this.end, this.concurrency)
-
-    for (let i = 0; i < max; i++) {
-      const slot = this.start + i
+    if (filter.memcmp) {
+      const { offset, bytes, encoding } = filter.memcmp
+      const expected = isBuffer(bytes) ? Buffer.from(bytes) : (encoding === 'base64' ? Buffer.from(bytes, 'base64') : base58.decode(bytes))
 
-      if (!this.inflight.has(slot)) {
-        this._getBlockWithCache(slot, true).catch(noop)
+      if (!account.data.subarray(offset, offset + expected.length).equals(expected)) {
+        return false
       }
     }
   }
 
-  async _getBlockWithCache (slot) {
-    // Shift value if exists
-    if (this.inflight.has(slot)) {
-      const promise = this.inflight.get(slot)
+  return true
+}
 
-      promise.catch(noop)
+function sendOptions (opts) {
+  return {
+    encoding: opts.encoding || 'base64',
+    skipPreflight: opts.skipPreflight !== false,
+    preflightCommitment: opts.preflightCommitment || 'confirmed',
+    maxRetries: opts.maxRetries,
+    minContextSlot: opts.minContextSlot
+  }
+}
 
-      this.inflight.delete(slot)
+function signatureResult (err, slot) {
+  return { status: err ? 'failed' : 'confirmed', err: err || null, slot }
+}
 
-      return promise
-    }
+function hasCommitment (status, commitment) {
+  const levels = ['processed', 'confirmed', 'finalized']
 
-    // Fetch
-    const promise = this.getBlock(slot).then(block => block || this.solana.getBlock(slot))
+  return levels.indexOf(status) >= levels.indexOf(commitment)
+}
 
-    promise.catch(noop).finally(() => {
-      this._maybePrefetch()
-    })
+function logsFilter (mentions) {
+  if (mentions === 'all' || mentions === 'allWithVotes') {
+    return mentions
+  }
 
-    // Save
-    this.inflight.set(slot, promise)
+  if (!Array.isArray(mentions)) mentions = [mentions]
 
-    return promise
-  }
+  return { mentions }
 }
 
-function maybeEncodeTransaction (tx) {
-  if (typeof tx === 'object' && tx && tx.serialize) {
-    const serialized = tx.serialize()
-    const encoded = Buffer.from(serialized).toString('base64')
+function isSubscribeMethod (method) {
+  return method.endsWith('Subscribe')
+}
 
-    return encoded
-  }
+function isUnsubscribeMethod (method) {
+  return method.endsWith('Unsubscribe')
+}
 
-  return tx
+function unsubscribeMethod (method) {
+  return method.replace(/Subscribe$/, 'Unsubscribe')
 }
 
 function isOptions (opts) {
@@ -647,6 +2231,30 @@ function isBuffer (value) {
   return Buffer.isBuffer(value) || value instanceof Uint8Array
 }
 
+async function mapConcurrent (items, concurrency, fn) {
+  const results = new Array(items.length)
+
+  let next = 0
+
+  const workers = []
+
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(work())
+  }
+
+  await Promise.all(workers)
+
+  return results
+
+  async function work () {
+    while (next < items.length) {
+      const index = next++
+
+      results[index] = await fn(items[index], index)
+    }
+  }
+}
+
 function noop () {}
 
 async function noopAsync () {}
@@ -0,0 +1,253 @@
+const crypto = require('crypto')
+const base58 = require('./base58.js')
+const { parseLogs } = require('./logs.js')
+
+const INTEGERS = {
+  u8: ['readUInt8', 1],
+  i8: ['readInt8', 1],
+  u16: ['readUInt16LE', 2],
+  i16: ['readInt16LE', 2],
+  u32: ['readUInt32LE', 4],
+  i32: ['readInt32LE', 4],
+  u64: ['readBigUInt64LE', 8],
+  i64: ['readBigInt64LE', 8],
+  f32: ['readFloatLE', 4],
+  f64: ['readDoubleLE', 8]
+}
+
+module.exports = class AnchorCoder {
+  constructor (idl) {
+    this.idl = idl
+    this.address = idl.address || (idl.metadata && idl.metadata.address) || null
+
+    this.types = new Map((idl.types || []).map(type => [type.name, type]))
+
+    // Older IDLs have the types inline and no discriminators
+    this.accounts = (idl.accounts || []).map(account => ({
+      name: account.name,
+      discriminator: Buffer.from(account.discriminator || sighash('account', account.name)),
+      type: account.type || this._defined(account.name)
+    }))
+
+    this.events = (idl.events || []).map(event => ({
+      name: event.name,
+      discriminator: Buffer.from(event.discriminator || sighash('event', event.name)),
+      type: event.fields ? { kind: 'struct', fields: event.fields } : this._defined(event.name)
+    }))
+  }
+
+  decodeAccount (data, name) {
+    const account = name
+      ? this.accounts.find(account => account.name === name)
+      : this.accounts.find(account => startsWith(data, account.discriminator))
+
+    if (!account) {
+      throw new Error(name ? 'Unknown account: ' + name : 'Unknown account discriminator')
+    }
+
+    if (!startsWith(data, account.discriminator)) {
+      throw new Error('Invalid discriminator for account: ' + account.name)
+    }
+
+    return { name: account.name, data: this.decode(account.type, data, account.discriminator.length) }
+  }
+
+  decodeEvent (data) {
+    const event = this.events.find(event => startsWith(data, event.discriminator))
+
+    if (!event) {
+      return null
+    }
+
+    return { name: event.name, data: this.decode(event.type, data, event.discriminator.length) }
+  }
+
+  // Events are emitted as "Program data:" by the program of the IDL
+  decodeEvents (logs) {
+    const events = []
+    const pending = [...parseLogs(logs)]
+
+    while (pending.length > 0) {
+      const invocation = pending.shift()
+
+      if (this.address === null || invocation.programId === this.address) {
+        for (const data of invocation.data) {
+          let event = null
+
+          // Any program can log data that only looks like an event, those are skipped
+          try {
+            event = this.decodeEvent(data)
+          } catch {
+            continue
+          }
+
+          if (event) events.push(event)
+        }
+      }
+
+      pending.push(...invocation.invocations)
+    }
+
+    return events
+  }
+
+  decode (type, data, offset = 0) {
+    return this._read(type, { data, offset })
+  }
+
+  _read (type, state) {
+    if (typeof type === 'string') {
+      return this._readPrimitive(type, state)
+    }
+
+    if (type.kind) {
+      return this._readDefinition(type, state)
+    }
+
+    if (type.vec) {
+      const length = this._readPrimitive('u32', state)
+
+      return this._readArray(type.vec, length, state)
+    }
+
+    if (type.array) {
+      return this._readArray(type.array[0], type.array[1], state)
+    }
+
+    if (type.option) {
+      return this._readPrimitive('u8', state) ? this._read(type.option, state) : null
+    }
+
+    // The tag takes four bytes
+    if (type.coption) {
+      return this._readPrimitive('u32', state) ? this._read(type.coption, state) : null
+    }
+
+    if (type.defined) {
+      return this._read(this._defined(typeof type.defined === 'string' ? type.defined : type.defined.name), state)
+    }
+
+    throw new Error('Unsupported type: ' + JSON.stringify(type))
+  }
+
+  _readDefinition (type, state) {
+    if (type.kind === 'struct') {
+      return this._readFields(type.fields || [], state)
+    }
+
+    if (type.kind === 'enum') {
+      const index = this._readPrimitive('u8', state)
+      const variant = type.variants[index]
+
+      if (!variant) {
+        throw new Error('Invalid enum variant: ' + index)
+      }
+
+      return { [variant.name]: variant.fields ? this._readFields(variant.fields, state) : {} }
+    }
+
+    if (type.kind === 'type') {
+      return this._read(type.alias, state)
+    }
+
+    throw new Error('Unsupported type kind: ' + type.kind)
+  }
+
+  _readFields (fields, state) {
+    // Tuple structs and variants have the types without names
+    if (fields.length > 0 && !(fields[0].name !== undefined && fields[0].type !== undefined)) {
+      return fields.map(type => this._read(type, state))
+    }
+
+    const out = {}
+
+    for (const field of fields) {
+      out[field.name] = this._read(field.type, state)
+    }
+
+    return out
+  }
+
+  _readArray (type, length, state) {
+    // Byte arrays are more useful as a Buffer
+    if (type === 'u8') {
+      return Buffer.from(readBytes(state, length))
+    }
+
+    const items = new Array(length)
+
+    for (let i = 0; i < length; i++) {
+      items[i] = this._read(type, state)
+    }
+
+    return items
+  }
+
+  _readPrimitive (type, state) {
+    const integer = INTEGERS[type]
+
+    if (integer) {
+      const offset = state.offset
+
+      readBytes(state, integer[1])
+
+      return state.data[integer[0]](offset)
+    }
+
+    switch (type) {
+      case 'bool':
+        return this._readPrimitive('u8', state) !== 0
+      case 'u128':
+      case 'i128': {
+        const low = this._readPrimitive('u64', state)
+        const high = this._readPrimitive('u64', state)
+        const value = (high << 64n) | low
+
+        return type === 'i128' ? BigInt.asIntN(128, value) : value
+      }
+      case 'pubkey':
+      case 'publicKey':
+        return base58.encode(readBytes(state, 32))
+      case 'string':
+        return readBytes(state, this._readPrimitive('u32', state)).toString('utf8')
+      case 'bytes':
+        return Buffer.from(readBytes(state, this._readPrimitive('u32', state)))
+    }
+
+    throw new Error('Unsupported type: ' + type)
+  }
+
+  _defined (name) {
+    const defined = this.types.get(name)
+
+    if (!defined) {
+      throw new Error('Type not found: ' + name)
+    }
+
+    if (defined.serialization && defined.serialization !== 'borsh') {
+      throw new Error('Unsupported serialization: ' + defined.serialization)
+    }
+
+    return defined.type
+  }
+}
+
+function sighash (namespace, name) {
+  return crypto.createHash('sha256').update(namespace + ':' + name).digest().subarray(0, 8)
+}
+
+function startsWith (data, prefix) {
+  return data.length >= prefix.length && data.subarray(0, prefix.length).equals(prefix)
+}
+
+function readBytes (state, length) {
+  if (state.offset + length > state.data.length) {
+    throw new Error('Unexpected end of data')
+  }
+
+  const bytes = state.data.subarray(state.offset, state.offset + length)
+
+  state.offset += length
+
+  return bytes
+}
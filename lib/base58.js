@@ -0,0 +1,78 @@
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const INDEXES = new Map([...ALPHABET].map((char, i) => [char, i]))
+
+module.exports = {
+  encode,
+  decode
+}
+
+function encode (buffer) {
+  let zeros = 0
+
+  while (zeros < buffer.length && buffer[zeros] === 0) {
+    zeros++
+  }
+
+  // Base 256 to base 58, digits are kept in reverse
+  const digits = []
+
+  for (let i = zeros; i < buffer.length; i++) {
+    let carry = buffer[i]
+
+    for (let j = 0; j < digits.length; j++) {
+      carry += digits[j] << 8
+      digits[j] = carry % 58
+      carry = (carry / 58) | 0
+    }
+
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = (carry / 58) | 0
+    }
+  }
+
+  let out = '1'.repeat(zeros)
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    out += ALPHABET[digits[i]]
+  }
+
+  return out
+}
+
+function decode (string) {
+  let zeros = 0
+
+  while (zeros < string.length && string[zeros] === '1') {
+    zeros++
+  }
+
+  const bytes = []
+
+  for (let i = zeros; i < string.length; i++) {
+    let carry = INDEXES.get(string[i])
+
+    if (carry === undefined) {
+      throw new Error('Invalid base58 character: ' + string[i])
+    }
+
+    for (let j = 0; j < bytes.length; j++) {
+      carry += bytes[j] * 58
+      bytes[j] = carry & 0xff
+      carry >>= 8
+    }
+
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+
+  const out = Buffer.alloc(zeros + bytes.length)
+
+  for (let i = 0; i < bytes.length; i++) {
+    out[out.length - 1 - i] = bytes[i]
+  }
+
+  return out
+}
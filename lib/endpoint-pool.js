@@ -0,0 +1,130 @@
+const STRATEGIES = ['round-robin', 'latency', 'fallback']
+
+module.exports = class EndpointPool {
+  constructor (urls, opts = {}) {
+    this.strategy = opts.strategy || 'round-robin'
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error('Unknown strategy: ' + this.strategy)
+    }
+
+    this.maxErrors = opts.maxErrors || 3
+    this.cooldown = opts.cooldown || 30000
+    this.maxSlotLag = opts.maxSlotLag || 50
+
+    this.endpoints = urls.map(url => ({
+      url,
+      requests: 0,
+      errors: 0,
+      consecutiveErrors: 0,
+      errorRate: 0,
+      latency: null,
+      healthy: null,
+      slot: null,
+      slotLag: null,
+      ejections: 0,
+      ejectedUntil: 0
+    }))
+
+    this._index = 0
+  }
+
+  get (url) {
+    return this.endpoints.find(endpoint => endpoint.url === url) || null
+  }
+
+  pick () {
+    const now = Date.now()
+    const available = this.endpoints.filter(endpoint => endpoint.ejectedUntil <= now)
+
+    // Never fail just because everything is ejected, use the one that comes back first
+    if (available.length === 0) {
+      return this.endpoints.reduce((a, b) => a.ejectedUntil <= b.ejectedUntil ? a : b).url
+    }
+
+    if (this.strategy === 'fallback') {
+      return available[0].url
+    }
+
+    if (this.strategy === 'latency') {
+      // Endpoints without measurements are tried first
+      return available.reduce((a, b) => (a.latency || 0) <= (b.latency || 0) ? a : b).url
+    }
+
+    for (let i = 0; i < this.endpoints.length; i++) {
+      const endpoint = this.endpoints[this._index++]
+
+      if (this._index >= this.endpoints.length) {
+        this._index = 0
+      }
+
+      if (endpoint.ejectedUntil <= now) {
+        return endpoint.url
+      }
+    }
+
+    return available[0].url
+  }
+
+  success (url, latency) {
+    const endpoint = this.get(url)
+
+    if (!endpoint) return
+
+    endpoint.requests++
+    endpoint.consecutiveErrors = 0
+    endpoint.errorRate = endpoint.errorRate * 0.9
+    endpoint.latency = endpoint.latency === null ? latency : Math.round(endpoint.latency * 0.8 + latency * 0.2)
+  }
+
+  failure (url) {
+    const endpoint = this.get(url)
+
+    if (!endpoint) return
+
+    endpoint.requests++
+    endpoint.errors++
+    endpoint.consecutiveErrors++
+    endpoint.errorRate = endpoint.errorRate * 0.9 + 0.1
+
+    if (endpoint.consecutiveErrors >= this.maxErrors) {
+      this.eject(endpoint)
+    }
+  }
+
+  report (results) {
+    for (const { url, healthy, slot } of results) {
+      const endpoint = this.get(url)
+
+      if (!endpoint) continue
+
+      endpoint.healthy = healthy
+      endpoint.slot = slot
+    }
+
+    const highest = Math.max(...this.endpoints.map(endpoint => endpoint.slot || 0))
+
+    for (const endpoint of this.endpoints) {
+      endpoint.slotLag = endpoint.slot === null ? null : highest - endpoint.slot
+
+      if (endpoint.healthy === false || (endpoint.slotLag !== null && endpoint.slotLag > this.maxSlotLag)) {
+        this.eject(endpoint)
+      }
+    }
+  }
+
+  eject (endpoint) {
+    endpoint.ejections++
+    endpoint.ejectedUntil = Date.now() + this.cooldown
+    endpoint.consecutiveErrors = 0
+  }
+
+  table () {
+    const now = Date.now()
+
+    return this.endpoints.map(endpoint => ({
+      ...endpoint,
+      ejected: endpoint.ejectedUntil > now
+    }))
+  }
+}
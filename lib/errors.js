@@ -0,0 +1,71 @@
+class RPCError extends Error {
+  constructor (message, opts = {}) {
+    super(message)
+
+    this.name = this.constructor.name
+    this.code = opts.code === undefined ? null : opts.code
+    this.data = opts.data === undefined ? null : opts.data
+    this.method = opts.method || null
+  }
+
+  static from (error, method) {
+    const message = error.message + (typeof error.data === 'string' ? (': ' + error.data) : '')
+    const opts = { code: error.code, data: error.data, method }
+
+    if (error.code === 429) {
+      return new RateLimitError(message, opts)
+    }
+
+    // "Transaction simulation failed" from the preflight checks
+    if (error.code === -32002 && error.data && error.data.err) {
+      return new TransactionError(null, error.data.err, { ...opts, message, logs: error.data.logs })
+    }
+
+    return new RPCError(message, opts)
+  }
+}
+
+class RateLimitError extends RPCError {}
+
+class TransactionError extends RPCError {
+  constructor (signature, err, opts = {}) {
+    super(opts.message || ('Transaction failed' + (signature ? ': ' + signature : '') + ' (' + JSON.stringify(err) + ')'), opts)
+
+    this.signature = signature || null
+    this.err = err
+    this.logs = opts.logs || null
+
+    // E.g. 'BlockhashNotFound', { InstructionError: [0, { Custom: 6001 }] }, { InsufficientFundsForRent: { account_index: 2 } }
+    this.type = typeof err === 'string' ? err : Object.keys(err)[0]
+
+    this.instructionIndex = null
+    this.instructionError = null
+    this.customCode = null
+
+    if (this.type === 'InstructionError') {
+      const [index, reason] = err.InstructionError
+
+      this.instructionIndex = index
+      this.instructionError = typeof reason === 'string' ? reason : Object.keys(reason)[0]
+
+      if (this.instructionError === 'Custom') {
+        this.customCode = reason.Custom
+      }
+    }
+  }
+}
+
+class BlockhashExpiredError extends RPCError {
+  constructor (signature, opts = {}) {
+    super('Blockhash expired: ' + signature, opts)
+
+    this.signature = signature
+  }
+}
+
+module.exports = {
+  RPCError,
+  RateLimitError,
+  TransactionError,
+  BlockhashExpiredError
+}
@@ -1,13 +1,20 @@
 const { EventEmitter } = require('events')
 const WebSocket = require('ws')
+const retry = require('like-retry')
 
 module.exports = class HubSocket extends EventEmitter {
-  constructor (url) {
+  constructor (url, opts = {}) {
     super()
 
     this._url = url
+    this._WebSocket = opts.WebSocket || WebSocket
     this.ws = null
 
+    this.timeout = opts.timeout || 60000
+
+    this.reconnect = opts.reconnect !== false
+    this.reconnectDelay = opts.reconnectDelay || [1000, 2000, 5000, 10000]
+
     this._onopen = this._onopen.bind(this)
     this._onmessage = this._onmessage.bind(this)
     this._onclose = this._onclose.bind(this)
@@ -20,6 +27,13 @@ module.exports = class HubSocket extends EventEmitter {
     this._disconnecting = null
     this._connected = false
 
+    this._opened = false
+    this._openedBefore = false
+    this._closing = false
+    this._reconnecting = null
+    this._reconnectTimer = null
+    this._reconnectWake = null
+
     this.on('error', noop)
   }
 
@@ -32,12 +46,17 @@ module.exports = class HubSocket extends EventEmitter {
   }
 
   async connect () {
+    this._closing = false
+
     if (this._connecting) return this._connecting
     this._connecting = this._connect()
     return this._connecting
   }
 
   async disconnect (err) {
+    this._closing = true
+    this._cancelReconnect()
+
     if (this._disconnecting) return this._disconnecting
     this._disconnecting = this._disconnect(err)
     return this._disconnecting
@@ -45,13 +64,18 @@ module.exports = class HubSocket extends EventEmitter {
 
   async _connect () {
     if (this._connected === true) {
-      if (this._disconnecting !== null) await this._disconnecting.catch(noop)
-      else await this.disconnect().catch(noop)
+      if (this._disconnecting !== null) {
+        await this._disconnecting.catch(noop)
+      } else {
+        // Replacing the socket is not closing it, so reconnections stay enabled
+        this._opened = false
+        await this._disconnect().catch(noop)
+      }
     }
 
     try {
       // TODO: Retry
-      this.ws = new WebSocket(this._url, {
+      this.ws = new this._WebSocket(this._url, {
         headers: {
           // TODO: Origin
           // TODO: User-Agent
@@ -78,6 +102,11 @@ module.exports = class HubSocket extends EventEmitter {
 
     this._keepAlive = setInterval(this._sendKeepAlive, 15000)
     this._connected = true
+    this._opened = true
+
+    // Any new socket after the first one, so subscriptions are restored
+    if (this._openedBefore) this.emit('reconnect')
+    this._openedBefore = true
   }
 
   async _disconnect (err) {
@@ -110,9 +139,55 @@ module.exports = class HubSocket extends EventEmitter {
       throw err
     } finally {
       this._connected = false
+      this._opened = false
     }
   }
 
+  async _reconnect () {
+    for (let attempt = 0; ; attempt++) {
+      const delay = Array.isArray(this.reconnectDelay) ? retry.indexOrLast(this.reconnectDelay, attempt) : this.reconnectDelay
+
+      await this._sleep(delay)
+
+      if (this._closing) return
+
+      try {
+        // It could have been manually connected in the meantime
+        if (!this._connected) await this.connect()
+      } catch (err) {
+        if (this._closing) return
+
+        this.emit('error', err)
+        continue
+      }
+
+      return
+    }
+  }
+
+  _sleep (ms) {
+    return new Promise(resolve => {
+      this._reconnectWake = resolve
+      this._reconnectTimer = setTimeout(() => {
+        this._reconnectTimer = null
+        this._reconnectWake = null
+        resolve()
+      }, ms)
+    })
+  }
+
+  _cancelReconnect () {
+    if (this._reconnectTimer === null) return
+
+    const wake = this._reconnectWake
+
+    clearTimeout(this._reconnectTimer)
+    this._reconnectTimer = null
+    this._reconnectWake = null
+
+    wake()
+  }
+
   _onopen () {
     this.emit('open')
 
@@ -143,6 +218,16 @@ module.exports = class HubSocket extends EventEmitter {
 
     // TODO: Compat, can be removed later
     this.emit('disconnect')
+
+    // Only connections that were fully opened are restored, failed attempts are retried by the loop itself
+    if (this.reconnect && this._opened && !this._closing && this._reconnecting === null) {
+      this._opened = false
+      this._connected = false
+
+      this._reconnecting = this._reconnect().finally(() => {
+        this._reconnecting = null
+      })
+    }
   }
 
   send (data) {
@@ -171,36 +256,48 @@ module.exports = class HubSocket extends EventEmitter {
     this._keepAlive = null
   }
 
-  waitForMessage (cb) {
+  waitForMessage (cb, opts = {}) {
     return new Promise((resolve, reject) => {
       const ws = this.ws
+      const signal = opts.signal || null
+
+      if (signal && signal.aborted) {
+        reject(signal.reason)
+        return
+      }
 
       const cleanup = () => {
+        clearTimeout(timeout)
         this.removeListener('message', onmessage)
         ws.removeListener('close', onclose)
+        if (signal) signal.removeEventListener('abort', onabort)
       }
 
       const timeout = setTimeout(() => {
         cleanup()
         reject(new Error('ACK timed out'))
-      }, 60000)
+      }, opts.timeout || this.timeout)
 
       const onmessage = (msg) => {
         if (!cb(msg)) return
 
-        clearTimeout(timeout)
         cleanup()
         resolve(msg)
       }
 
       const onclose = () => {
-        clearTimeout(timeout)
         cleanup()
         reject(new Error('Connection destroyed'))
       }
 
+      const onabort = () => {
+        cleanup()
+        reject(signal.reason)
+      }
+
       this.on('message', onmessage)
       ws.on('close', onclose)
+      if (signal) signal.addEventListener('abort', onabort)
     })
   }
 }
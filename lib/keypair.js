@@ -0,0 +1,49 @@
+const crypto = require('crypto')
+const base58 = require('./base58.js')
+
+// DER headers to import raw ed25519 keys into Node's crypto
+const PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex')
+const SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+
+module.exports = class Keypair {
+  constructor (secretKey) {
+    secretKey = typeof secretKey === 'string' ? base58.decode(secretKey) : Buffer.from(secretKey)
+
+    // A 32 bytes seed, or the 64 bytes secret key of Solana that has the public key appended
+    if (secretKey.length !== 32 && secretKey.length !== 64) {
+      throw new Error('Invalid secret key size: ' + secretKey.length)
+    }
+
+    const seed = secretKey.subarray(0, 32)
+
+    this._privateKey = crypto.createPrivateKey({ key: Buffer.concat([PKCS8_PREFIX, seed]), format: 'der', type: 'pkcs8' })
+
+    const publicKey = crypto.createPublicKey(this._privateKey).export({ format: 'der', type: 'spki' }).subarray(SPKI_PREFIX.length)
+
+    if (secretKey.length === 64 && !publicKey.equals(secretKey.subarray(32))) {
+      throw new Error('Public key does not match the secret key')
+    }
+
+    this.publicKey = base58.encode(publicKey)
+    this.secretKey = Buffer.concat([seed, publicKey])
+  }
+
+  static generate () {
+    return new Keypair(crypto.randomBytes(32))
+  }
+
+  // I.e. the bytes of a keypair file from solana-keygen, or its base58 encoding
+  static fromSecretKey (secretKey) {
+    return new Keypair(secretKey)
+  }
+
+  static verify (publicKey, message, signature) {
+    const key = crypto.createPublicKey({ key: Buffer.concat([SPKI_PREFIX, base58.decode(publicKey)]), format: 'der', type: 'spki' })
+
+    return crypto.verify(null, message, key, signature)
+  }
+
+  sign (message) {
+    return crypto.sign(null, message, this._privateKey)
+  }
+}
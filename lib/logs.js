@@ -0,0 +1,69 @@
+const INVOKE = /^Program (\w+) invoke \[(\d+)\]$/
+const SUCCESS = /^Program (\w+) success$/
+const FAILED = /^Program (\w+) failed: (.*)$/
+const CONSUMED = /^Program (\w+) consumed (\d+) of (\d+) compute units$/
+const RETURN = /^Program return: (\w+) (\S*)$/
+
+module.exports = {
+  parseLogs
+}
+
+// Logs of a transaction, i.e. from logsNotification or meta.logMessages, into a tree of invocations
+function parseLogs (logs) {
+  const invocations = []
+  const stack = []
+
+  for (const line of logs) {
+    const current = stack.length > 0 ? stack[stack.length - 1] : null
+
+    let match = null
+
+    if ((match = line.match(INVOKE))) {
+      const invocation = {
+        programId: match[1],
+        depth: Number(match[2]),
+        logs: [],
+        data: [],
+        returnData: null,
+        computeUnits: null,
+        success: null,
+        error: null,
+        invocations: []
+      }
+
+      if (current) current.invocations.push(invocation)
+      else invocations.push(invocation)
+
+      stack.push(invocation)
+      continue
+    }
+
+    // Lines before any invoke have nowhere to go
+    if (!current) {
+      continue
+    }
+
+    if (line.startsWith('Program log: ')) {
+      current.logs.push(line.slice(13))
+    } else if (line.startsWith('Program data: ')) {
+      // Several slices in one line are concatenated
+      current.data.push(Buffer.concat(line.slice(14).split(' ').map(slice => Buffer.from(slice, 'base64'))))
+    } else if ((match = line.match(RETURN))) {
+      current.returnData = Buffer.from(match[2], 'base64')
+    } else if ((match = line.match(CONSUMED))) {
+      current.computeUnits = { consumed: Number(match[2]), limit: Number(match[3]) }
+    } else if (SUCCESS.test(line)) {
+      current.success = true
+      stack.pop()
+    } else if ((match = line.match(FAILED))) {
+      current.success = false
+      current.error = match[2]
+      stack.pop()
+    } else if (!line.startsWith('Program consumption: ')) {
+      // I.e. "Transfer: insufficient lamports" from native programs
+      current.logs.push(line)
+    }
+  }
+
+  return invocations
+}
@@ -0,0 +1,269 @@
+const { EventEmitter } = require('events')
+
+module.exports = class MockServer {
+  constructor (opts = {}) {
+    this.latency = opts.latency || 0
+
+    this.handlers = new Map()
+    this.fixtures = new Map()
+
+    this.requests = []
+    this.subscriptions = new Map()
+    this.sockets = new Set()
+
+    this.inflight = 0
+    this.maxInflight = 0
+
+    this._subscriptionId = 1
+
+    this.fetch = this.fetch.bind(this)
+    this.WebSocket = createWebSocket(this)
+
+    if (opts.fixtures) {
+      this.load(opts.fixtures)
+    }
+  }
+
+  handle (method, handler) {
+    this.handlers.set(method, typeof handler === 'function' ? handler : () => handler)
+
+    return this
+  }
+
+  replay (method, responses) {
+    if (!this.fixtures.has(method)) {
+      this.fixtures.set(method, [])
+    }
+
+    this.fixtures.get(method).push(...responses)
+
+    return this
+  }
+
+  load (fixtures) {
+    for (const method of Object.keys(fixtures)) {
+      this.replay(method, fixtures[method])
+    }
+
+    return this
+  }
+
+  async notify (method, result) {
+    const subscribeMethod = method.replace(/Notification$/, 'Subscribe')
+
+    let count = 0
+
+    for (const [subscription, sub] of this.subscriptions) {
+      if (sub.method !== subscribeMethod) continue
+
+      sub.socket._receive({ jsonrpc: '2.0', method, params: { result, subscription } })
+      count++
+    }
+
+    // Wait for the delivery
+    await sleep(this.latency + 1)
+
+    return count
+  }
+
+  disconnect () {
+    for (const socket of this.sockets) {
+      socket.terminate()
+    }
+  }
+
+  async fetch (url, opts = {}) {
+    const body = JSON.parse(opts.body)
+
+    this.inflight++
+    this.maxInflight = Math.max(this.maxInflight, this.inflight)
+
+    try {
+      if (Array.isArray(body)) {
+        const responses = body.map(req => this._respond(req, null))
+
+        await sleep(this.latency, opts)
+
+        return createResponse(200, {}, responses.map((res, i) => toMessage(body[i], res)))
+      }
+
+      const res = this._respond(body, null)
+
+      await sleep(this.latency + (res.delay || 0), opts)
+
+      if (res.status && res.status !== 200) {
+        return createResponse(res.status, res.headers || {}, null)
+      }
+
+      return createResponse(200, res.headers || {}, toMessage(body, res))
+    } finally {
+      this.inflight--
+    }
+  }
+
+  _respond (req, socket) {
+    const { method, params } = req
+
+    this.requests.push({ method, params, transport: socket ? 'ws' : 'http' })
+
+    const fixtures = this.fixtures.get(method)
+
+    if (fixtures && fixtures.length > 0) {
+      return fixtures.shift()
+    }
+
+    const handler = this.handlers.get(method)
+
+    if (handler) {
+      try {
+        return { result: handler(params, { socket }) }
+      } catch (err) {
+        return { error: { code: err.code, message: err.message, data: err.data } }
+      }
+    }
+
+    if (socket && method.endsWith('Subscribe')) {
+      const id = this._subscriptionId++
+
+      this.subscriptions.set(id, { method, params, socket })
+
+      return { result: id }
+    }
+
+    if (socket && method.endsWith('Unsubscribe')) {
+      return { result: this.subscriptions.delete(params[0]) }
+    }
+
+    return { error: { code: -32601, message: 'Method not found' } }
+  }
+
+  _removeSocket (socket) {
+    this.sockets.delete(socket)
+
+    // Subscriptions don't survive the connection
+    for (const [id, sub] of this.subscriptions) {
+      if (sub.socket === socket) {
+        this.subscriptions.delete(id)
+      }
+    }
+  }
+}
+
+function createWebSocket (server) {
+  return class MockWebSocket extends EventEmitter {
+    constructor (url) {
+      super()
+
+      this.url = url
+      this.readyState = 0
+
+      server.sockets.add(this)
+
+      setImmediate(() => {
+        if (this.readyState !== 0) return
+
+        this.readyState = 1
+        this.emit('open')
+      })
+    }
+
+    send (data) {
+      if (this.readyState !== 1) {
+        throw new Error('WebSocket is not open: readyState ' + this.readyState)
+      }
+
+      const req = JSON.parse(data)
+      const res = server._respond(req, this)
+
+      setTimeout(() => this._receive(toMessage(req, res)), server.latency + (res.delay || 0))
+    }
+
+    close () {
+      if (this.readyState >= 2) return
+
+      this.readyState = 2
+
+      setImmediate(() => {
+        this.readyState = 3
+        server._removeSocket(this)
+        this.emit('close')
+      })
+    }
+
+    terminate () {
+      this.close()
+    }
+
+    _receive (msg) {
+      if (this.readyState !== 1) return
+
+      this.emit('message', JSON.stringify(msg))
+    }
+  }
+}
+
+function toMessage (req, res) {
+  // Recorded bodies are replied as they are, i.e. { code, message } without JSON-RPC
+  if (res.body) {
+    return res.body
+  }
+
+  if (res.error) {
+    return { jsonrpc: '2.0', id: req.id, error: res.error }
+  }
+
+  return { jsonrpc: '2.0', id: req.id, result: res.result }
+}
+
+function createResponse (status, headers, body) {
+  const normalized = {}
+
+  for (const name of Object.keys(headers)) {
+    normalized[name.toLowerCase()] = String(headers[name])
+  }
+
+  return {
+    status,
+    headers: {
+      get: name => normalized[name.toLowerCase()] || null
+    },
+    json: async () => body
+  }
+}
+
+function sleep (ms, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const signal = opts.signal || null
+
+    if (signal && signal.aborted) {
+      reject(signal.reason)
+      return
+    }
+
+    const timer = setTimeout(done, ms)
+    const timeout = opts.timeout ? setTimeout(ontimeout, opts.timeout) : null
+
+    if (signal) signal.addEventListener('abort', onabort)
+
+    function done () {
+      cleanup()
+      resolve()
+    }
+
+    function ontimeout () {
+      cleanup()
+      reject(new DOMException('The operation was aborted due to timeout', 'TimeoutError'))
+    }
+
+    function onabort () {
+      cleanup()
+      reject(signal.reason)
+    }
+
+    function cleanup () {
+      clearTimeout(timer)
+      clearTimeout(timeout)
+      if (signal) signal.removeEventListener('abort', onabort)
+    }
+  })
+}
@@ -0,0 +1,120 @@
+const crypto = require('crypto')
+const base58 = require('./base58.js')
+
+// Curve25519 field prime and the twisted Edwards constant d
+const P = 2n ** 255n - 19n
+const D = mod(-121665n * inverse(121666n))
+const SQRT_M1 = pow(2n, (P - 1n) / 4n)
+
+const PDA_MARKER = Buffer.from('ProgramDerivedAddress')
+
+module.exports = {
+  isPublicKey,
+  isOnCurve,
+  createProgramAddress,
+  findProgramAddress
+}
+
+function isPublicKey (value) {
+  try {
+    return typeof value === 'string' && base58.decode(value).length === 32
+  } catch {
+    return false
+  }
+}
+
+// Program addresses must not be valid ed25519 points, so nobody has their private key
+function isOnCurve (publicKey) {
+  const bytes = Buffer.from(typeof publicKey === 'string' ? base58.decode(publicKey) : publicKey)
+
+  const sign = bytes[31] >> 7
+  bytes[31] &= 0x7f
+
+  const y = BigInt('0x' + Buffer.from(bytes).reverse().toString('hex'))
+
+  if (y >= P) {
+    return false
+  }
+
+  // x^2 = (y^2 - 1) / (d * y^2 + 1)
+  const y2 = mod(y * y)
+  const u = mod(y2 - 1n)
+  const v = mod(D * y2 + 1n)
+
+  const v3 = mod(v * v * v)
+  let x = mod(u * v3 * pow(mod(u * v3 * v3 * v), (P - 5n) / 8n))
+
+  const vx2 = mod(v * x * x)
+
+  if (vx2 !== u) {
+    if (vx2 !== mod(-u)) {
+      return false
+    }
+
+    x = mod(x * SQRT_M1)
+  }
+
+  return !(x === 0n && sign === 1)
+}
+
+function createProgramAddress (seeds, programId) {
+  if (seeds.length > 16) {
+    throw new Error('Too many seeds: ' + seeds.length)
+  }
+
+  for (const seed of seeds) {
+    if (seed.length > 32) {
+      throw new Error('Seed is longer than 32 bytes')
+    }
+  }
+
+  const hash = crypto.createHash('sha256')
+
+  for (const seed of seeds) hash.update(seed)
+
+  const address = hash.update(base58.decode(programId)).update(PDA_MARKER).digest()
+
+  if (isOnCurve(address)) {
+    throw new Error('Program address is on the curve')
+  }
+
+  return base58.encode(address)
+}
+
+// Returns [address, bump] with the highest bump that is off the curve
+function findProgramAddress (seeds, programId) {
+  for (let bump = 255; bump >= 0; bump--) {
+    try {
+      return [createProgramAddress([...seeds, Buffer.from([bump])], programId), bump]
+    } catch (err) {
+      if (err.message !== 'Program address is on the curve') throw err
+    }
+  }
+
+  throw new Error('Unable to find a program address')
+}
+
+function mod (value) {
+  const result = value % P
+
+  return result >= 0n ? result : result + P
+}
+
+function pow (base, exponent) {
+  let result = 1n
+
+  base = mod(base)
+
+  while (exponent > 0n) {
+    if (exponent & 1n) result = mod(result * base)
+
+    base = mod(base * base)
+    exponent >>= 1n
+  }
+
+  return result
+}
+
+function inverse (value) {
+  return pow(value, P - 2n)
+}
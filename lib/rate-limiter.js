@@ -0,0 +1,81 @@
+module.exports = class RateLimiter {
+  constructor (opts = {}) {
+    this.rate = opts.rate || 0 // Requests per second, zero is unlimited
+    this.burst = Math.max(1, opts.burst || this.rate) // At least one request, even under one per second
+    this.concurrency = opts.concurrency || 0 // Zero is unlimited
+
+    this.tokens = this.burst
+    this.inflight = 0
+    this.pausedUntil = 0
+
+    this._refilledAt = Date.now()
+    this._queue = []
+    this._timer = null
+  }
+
+  get pending () {
+    return this._queue.length
+  }
+
+  acquire () {
+    return new Promise(resolve => {
+      this._queue.push(resolve)
+      this._drain()
+    })
+  }
+
+  release () {
+    this.inflight--
+    this._drain()
+  }
+
+  pause (ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms)
+  }
+
+  _refill () {
+    const now = Date.now()
+
+    this.tokens = Math.min(this.burst, this.tokens + (now - this._refilledAt) / 1000 * this.rate)
+    this._refilledAt = now
+  }
+
+  _drain () {
+    while (this._queue.length > 0) {
+      // Releasing will drain again
+      if (this.concurrency && this.inflight >= this.concurrency) {
+        return
+      }
+
+      const now = Date.now()
+
+      if (now < this.pausedUntil) {
+        this._schedule(this.pausedUntil - now)
+        return
+      }
+
+      if (this.rate) {
+        this._refill()
+
+        if (this.tokens < 1) {
+          this._schedule((1 - this.tokens) / this.rate * 1000)
+          return
+        }
+
+        this.tokens--
+      }
+
+      this.inflight++
+      this._queue.shift()()
+    }
+  }
+
+  _schedule (ms) {
+    if (this._timer !== null) return
+
+    this._timer = setTimeout(() => {
+      this._timer = null
+      this._drain()
+    }, Math.ceil(ms))
+  }
+}
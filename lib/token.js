@@ -0,0 +1,176 @@
+const base58 = require('./base58.js')
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+
+const MINT_SIZE = 82
+const ACCOUNT_SIZE = 165
+
+// Token-2022 pads mints to the account size so the account type is always at the same offset
+const ACCOUNT_TYPE_OFFSET = ACCOUNT_SIZE
+
+const ACCOUNT_STATES = ['uninitialized', 'initialized', 'frozen']
+
+const EXTENSIONS = {
+  1: ['transferFeeConfig', decodeTransferFeeConfig],
+  2: ['transferFeeAmount', data => ({ withheldAmount: data.readBigUInt64LE(0) })],
+  3: ['mintCloseAuthority', data => ({ closeAuthority: optionalPubkey(data, 0) })],
+  6: ['defaultAccountState', data => ({ state: ACCOUNT_STATES[data[0]] })],
+  7: ['immutableOwner', () => ({})],
+  8: ['memoTransfer', data => ({ requireIncomingTransferMemos: data[0] === 1 })],
+  9: ['nonTransferable', () => ({})],
+  10: ['interestBearingConfig', decodeInterestBearingConfig],
+  11: ['cpiGuard', data => ({ lockCpi: data[0] === 1 })],
+  12: ['permanentDelegate', data => ({ delegate: optionalPubkey(data, 0) })],
+  13: ['nonTransferableAccount', () => ({})],
+  14: ['transferHook', data => ({ authority: optionalPubkey(data, 0), programId: optionalPubkey(data, 32) })],
+  15: ['transferHookAccount', data => ({ transferring: data[0] === 1 })],
+  18: ['metadataPointer', data => ({ authority: optionalPubkey(data, 0), metadataAddress: optionalPubkey(data, 32) })],
+  19: ['tokenMetadata', decodeTokenMetadata],
+  20: ['groupPointer', data => ({ authority: optionalPubkey(data, 0), groupAddress: optionalPubkey(data, 32) })],
+  22: ['groupMemberPointer', data => ({ authority: optionalPubkey(data, 0), memberAddress: optionalPubkey(data, 32) })]
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  isTokenProgram,
+  decodeMint,
+  decodeTokenAccount
+}
+
+function isTokenProgram (programId) {
+  return programId === TOKEN_PROGRAM_ID || programId === TOKEN_2022_PROGRAM_ID
+}
+
+function decodeMint (data) {
+  if (data.length < MINT_SIZE) {
+    throw new Error('Invalid mint size: ' + data.length)
+  }
+
+  return {
+    mintAuthority: data.readUInt32LE(0) ? pubkey(data, 4) : null,
+    supply: data.readBigUInt64LE(36),
+    decimals: data[44],
+    isInitialized: data[45] === 1,
+    freezeAuthority: data.readUInt32LE(46) ? pubkey(data, 50) : null,
+    extensions: data.length > MINT_SIZE ? decodeExtensions(data) : {}
+  }
+}
+
+function decodeTokenAccount (data) {
+  if (data.length < ACCOUNT_SIZE) {
+    throw new Error('Invalid token account size: ' + data.length)
+  }
+
+  const isNative = data.readUInt32LE(109) !== 0
+
+  return {
+    mint: pubkey(data, 0),
+    owner: pubkey(data, 32),
+    amount: data.readBigUInt64LE(64),
+    delegate: data.readUInt32LE(72) ? pubkey(data, 76) : null,
+    state: ACCOUNT_STATES[data[108]],
+    isNative,
+    rentExemptReserve: isNative ? data.readBigUInt64LE(113) : null,
+    delegatedAmount: data.readBigUInt64LE(121),
+    closeAuthority: data.readUInt32LE(129) ? pubkey(data, 133) : null,
+    extensions: data.length > ACCOUNT_SIZE ? decodeExtensions(data) : {}
+  }
+}
+
+// Type-length-value entries after the account type, unknown ones are kept as raw bytes
+function decodeExtensions (data) {
+  const extensions = {}
+
+  let offset = ACCOUNT_TYPE_OFFSET + 1
+
+  while (offset + 4 <= data.length) {
+    const type = data.readUInt16LE(offset)
+    const length = data.readUInt16LE(offset + 2)
+    const value = data.subarray(offset + 4, offset + 4 + length)
+
+    // Uninitialized, the rest is padding
+    if (type === 0) break
+
+    const extension = EXTENSIONS[type]
+
+    if (extension) {
+      extensions[extension[0]] = extension[1](value)
+    } else {
+      extensions[type] = value
+    }
+
+    offset += 4 + length
+  }
+
+  return extensions
+}
+
+function decodeTransferFeeConfig (data) {
+  return {
+    transferFeeConfigAuthority: optionalPubkey(data, 0),
+    withdrawWithheldAuthority: optionalPubkey(data, 32),
+    withheldAmount: data.readBigUInt64LE(64),
+    olderTransferFee: decodeTransferFee(data, 72),
+    newerTransferFee: decodeTransferFee(data, 90)
+  }
+}
+
+function decodeTransferFee (data, offset) {
+  return {
+    epoch: data.readBigUInt64LE(offset),
+    maximumFee: data.readBigUInt64LE(offset + 8),
+    transferFeeBasisPoints: data.readUInt16LE(offset + 16)
+  }
+}
+
+function decodeInterestBearingConfig (data) {
+  return {
+    rateAuthority: optionalPubkey(data, 0),
+    initializationTimestamp: data.readBigInt64LE(32),
+    preUpdateAverageRate: data.readInt16LE(40),
+    lastUpdateTimestamp: data.readBigInt64LE(42),
+    currentRate: data.readInt16LE(50)
+  }
+}
+
+function decodeTokenMetadata (data) {
+  let offset = 64
+
+  const updateAuthority = optionalPubkey(data, 0)
+  const mint = pubkey(data, 32)
+  const name = string()
+  const symbol = string()
+  const uri = string()
+  const additionalMetadata = []
+
+  const count = data.readUInt32LE(offset)
+  offset += 4
+
+  for (let i = 0; i < count; i++) {
+    additionalMetadata.push([string(), string()])
+  }
+
+  return { updateAuthority, mint, name, symbol, uri, additionalMetadata }
+
+  function string () {
+    const length = data.readUInt32LE(offset)
+    const value = data.toString('utf8', offset + 4, offset + 4 + length)
+
+    offset += 4 + length
+
+    return value
+  }
+}
+
+function pubkey (data, offset) {
+  return base58.encode(data.subarray(offset, offset + 32))
+}
+
+// Extensions use an all-zero key instead of an option tag
+function optionalPubkey (data, offset) {
+  const key = data.subarray(offset, offset + 32)
+
+  return key.every(byte => byte === 0) ? null : base58.encode(key)
+}
@@ -0,0 +1,251 @@
+const base58 = require('./base58.js')
+const { encodeTransaction, encodeMessage } = require('./transaction.js')
+
+const COMPUTE_BUDGET_PROGRAM_ID = 'ComputeBudget111111111111111111111111111111'
+
+// Serialized transactions must fit in a single packet
+const MAX_TRANSACTION_SIZE = 1232
+
+module.exports = class TransactionBuilder {
+  constructor (opts = {}) {
+    this.payer = opts.payer ? address(opts.payer) : null
+    this.recentBlockhash = opts.recentBlockhash || null
+    this.lastValidBlockHeight = opts.lastValidBlockHeight || null
+    this.version = opts.version === undefined ? 'legacy' : opts.version
+    this.lookupTables = opts.lookupTables || [] // [{ key, addresses }]
+    this.computeUnitLimit = opts.computeUnitLimit || 0
+    this.computeUnitPrice = opts.computeUnitPrice || 0 // Micro-lamports per compute unit
+
+    this.instructions = []
+    this.signatures = new Map()
+
+    // Message that the signatures are for
+    this._signed = null
+
+    if (this.version !== 'legacy' && this.version !== 0) {
+      throw new Error('Unsupported transaction version: ' + this.version)
+    }
+  }
+
+  get signature () {
+    const signature = this.payer ? this.signatures.get(this.payer) : null
+
+    return signature ? base58.encode(signature) : null
+  }
+
+  // Same shape as @solana/web3.js: { programId, keys: [{ pubkey, isSigner, isWritable }], data }
+  add (...instructions) {
+    this.instructions.push(...instructions.flat())
+
+    return this
+  }
+
+  compile () {
+    if (!this.payer) {
+      throw new Error('Transaction payer is required')
+    }
+
+    if (!this.recentBlockhash) {
+      throw new Error('Transaction recent blockhash is required')
+    }
+
+    const instructions = [...this._computeBudget(), ...this.instructions].map(ix => ({
+      programId: address(ix.programId),
+      keys: (ix.keys || []).map(key => ({ pubkey: address(key.pubkey), isSigner: !!key.isSigner, isWritable: !!key.isWritable })),
+      data: ix.data ? Buffer.from(ix.data) : Buffer.alloc(0)
+    }))
+
+    const metas = new Map([[this.payer, { pubkey: this.payer, isSigner: true, isWritable: true, isProgram: false }]])
+
+    for (const ix of instructions) {
+      for (const key of ix.keys) {
+        const meta = metas.get(key.pubkey)
+
+        if (meta) {
+          meta.isSigner = meta.isSigner || key.isSigner
+          meta.isWritable = meta.isWritable || key.isWritable
+        } else {
+          metas.set(key.pubkey, { ...key, isProgram: false })
+        }
+      }
+
+      const program = metas.get(ix.programId)
+
+      if (program) program.isProgram = true
+      else metas.set(ix.programId, { pubkey: ix.programId, isSigner: false, isWritable: false, isProgram: true })
+    }
+
+    const lookups = this.version === 'legacy' ? [] : this._lookups(metas)
+
+    // The payer stays first because the sort is stable
+    const accountKeys = [...metas.values()].sort((a, b) => rank(a) - rank(b))
+
+    const header = {
+      numRequiredSignatures: accountKeys.filter(meta => meta.isSigner).length,
+      numReadonlySignedAccounts: accountKeys.filter(meta => meta.isSigner && !meta.isWritable).length,
+      numReadonlyUnsignedAccounts: accountKeys.filter(meta => !meta.isSigner && !meta.isWritable).length
+    }
+
+    // Loaded addresses are indexed after the static keys: writable first, then readonly
+    const indexes = new Map()
+    const keys = [
+      ...accountKeys.map(meta => meta.pubkey),
+      ...lookups.flatMap(lookup => lookup.writable),
+      ...lookups.flatMap(lookup => lookup.readonly)
+    ]
+
+    if (keys.length > 256) {
+      throw new Error('Too many accounts: ' + keys.length)
+    }
+
+    keys.forEach((pubkey, i) => indexes.set(pubkey, i))
+
+    const message = {
+      header,
+      accountKeys: accountKeys.map(meta => meta.pubkey),
+      recentBlockhash: this.recentBlockhash,
+      instructions: instructions.map(ix => ({
+        programIdIndex: indexes.get(ix.programId),
+        accounts: ix.keys.map(key => indexes.get(key.pubkey)),
+        data: ix.data,
+        stackHeight: null
+      }))
+    }
+
+    if (this.version !== 'legacy') {
+      message.addressTableLookups = lookups.map(lookup => ({
+        accountKey: lookup.accountKey,
+        writableIndexes: lookup.writableIndexes,
+        readonlyIndexes: lookup.readonlyIndexes
+      }))
+    }
+
+    return message
+  }
+
+  serializeMessage () {
+    return encodeMessage(this.compile(), this.version)
+  }
+
+  sign (...keypairs) {
+    const message = this.compile()
+    const serialized = encodeMessage(message, this.version)
+    const signers = message.accountKeys.slice(0, message.header.numRequiredSignatures)
+
+    // Signatures for an older message are no longer valid
+    if (!this._signed || !this._signed.equals(serialized)) {
+      this.signatures.clear()
+      this._signed = serialized
+    }
+
+    for (const keypair of keypairs.flat()) {
+      if (!signers.includes(keypair.publicKey)) {
+        throw new Error('Unknown signer: ' + keypair.publicKey)
+      }
+
+      this.signatures.set(keypair.publicKey, keypair.sign(serialized))
+    }
+
+    return this
+  }
+
+  serialize (opts = {}) {
+    const requireAllSignatures = opts.requireAllSignatures !== false
+
+    const message = this.compile()
+    const serialized = encodeMessage(message, this.version)
+    const signers = message.accountKeys.slice(0, message.header.numRequiredSignatures)
+
+    const valid = this._signed !== null && this._signed.equals(serialized)
+
+    const signatures = signers.map(pubkey => {
+      const signature = valid ? this.signatures.get(pubkey) : null
+
+      if (!signature && requireAllSignatures) {
+        throw new Error('Missing signature for: ' + pubkey)
+      }
+
+      return signature || Buffer.alloc(64)
+    })
+
+    const transaction = encodeTransaction({ signatures, message, version: this.version })
+
+    if (transaction.length > MAX_TRANSACTION_SIZE) {
+      throw new Error('Transaction too large: ' + transaction.length + ' bytes')
+    }
+
+    return transaction
+  }
+
+  _computeBudget () {
+    const instructions = []
+
+    if (this.computeUnitLimit) {
+      const data = Buffer.alloc(5)
+
+      data[0] = 2
+      data.writeUInt32LE(this.computeUnitLimit, 1)
+
+      instructions.push({ programId: COMPUTE_BUDGET_PROGRAM_ID, keys: [], data })
+    }
+
+    if (this.computeUnitPrice) {
+      const data = Buffer.alloc(9)
+
+      data[0] = 3
+      data.writeBigUInt64LE(BigInt(this.computeUnitPrice), 1)
+
+      instructions.push({ programId: COMPUTE_BUDGET_PROGRAM_ID, keys: [], data })
+    }
+
+    return instructions
+  }
+
+  // Moves the accounts found in the lookup tables out of the static keys
+  _lookups (metas) {
+    const lookups = []
+
+    for (const table of this.lookupTables) {
+      const lookup = { accountKey: address(table.key), writable: [], readonly: [], writableIndexes: [], readonlyIndexes: [] }
+
+      for (const meta of metas.values()) {
+        // Signers and invoked programs must be static keys
+        if (meta.isSigner || meta.isProgram) continue
+
+        const index = table.addresses.indexOf(meta.pubkey)
+
+        if (index === -1) continue
+
+        if (meta.isWritable) {
+          lookup.writable.push(meta.pubkey)
+          lookup.writableIndexes.push(index)
+        } else {
+          lookup.readonly.push(meta.pubkey)
+          lookup.readonlyIndexes.push(index)
+        }
+
+        metas.delete(meta.pubkey)
+      }
+
+      if (lookup.writable.length > 0 || lookup.readonly.length > 0) {
+        lookups.push(lookup)
+      }
+    }
+
+    return lookups
+  }
+}
+
+// Writable signers, readonly signers, writable non-signers, and readonly non-signers
+function rank (meta) {
+  return (meta.isSigner ? 0 : 2) + (meta.isWritable ? 0 : 1)
+}
+
+// Base58 strings, a Keypair, or a PublicKey of @solana/web3.js
+function address (value) {
+  if (typeof value === 'string') return value
+  if (typeof value.publicKey === 'string') return value.publicKey
+  if (typeof value.toBase58 === 'function') return value.toBase58()
+
+  throw new Error('Invalid address: ' + value)
+}
@@ -0,0 +1,289 @@
+const base58 = require('./base58.js')
+
+module.exports = {
+  normalizeTransaction,
+  decodeTransaction,
+  encodeTransaction,
+  encodeMessage
+}
+
+// Expects the 'json' encoding of getTransaction, or a transaction of getBlock plus { slot, blockTime }
+function normalizeTransaction (tx, context = {}) {
+  const { transaction, meta } = tx
+  const message = transaction.message
+
+  const accounts = accountKeys(message, meta)
+  const pubkeys = accounts.map(account => account.pubkey)
+
+  const instructions = message.instructions.map((ix, index) => ({
+    index,
+    ...instruction(ix, pubkeys),
+    innerInstructions: []
+  }))
+
+  if (meta && meta.innerInstructions) {
+    for (const inner of meta.innerInstructions) {
+      instructions[inner.index].innerInstructions.push(...inner.instructions.map(ix => instruction(ix, pubkeys)))
+    }
+  }
+
+  const { slot = null, blockTime = null, version = 'legacy' } = { ...context, ...tx }
+
+  return {
+    signature: transaction.signatures[0],
+    signatures: transaction.signatures,
+    slot,
+    blockTime,
+    version,
+    err: meta ? meta.err : null,
+    fee: meta ? meta.fee : null,
+    computeUnitsConsumed: meta && typeof meta.computeUnitsConsumed === 'number' ? meta.computeUnitsConsumed : null,
+    recentBlockhash: message.recentBlockhash,
+    accounts,
+    instructions,
+    balances: meta ? balances(meta, pubkeys) : [],
+    tokenBalances: meta ? tokenBalances(meta, pubkeys) : [],
+    logs: meta ? (meta.logMessages || null) : null
+  }
+}
+
+// Static keys, then the ones loaded from address lookup tables: writable first, then readonly
+function accountKeys (message, meta) {
+  const { numRequiredSignatures, numReadonlySignedAccounts, numReadonlyUnsignedAccounts } = message.header
+  const count = message.accountKeys.length
+
+  const accounts = message.accountKeys.map((pubkey, i) => ({
+    pubkey,
+    signer: i < numRequiredSignatures,
+    writable: i < numRequiredSignatures ? i < numRequiredSignatures - numReadonlySignedAccounts : i < count - numReadonlyUnsignedAccounts,
+    source: 'transaction'
+  }))
+
+  const loaded = meta && meta.loadedAddresses
+
+  if (loaded) {
+    for (const pubkey of loaded.writable) {
+      accounts.push({ pubkey, signer: false, writable: true, source: 'lookupTable' })
+    }
+
+    for (const pubkey of loaded.readonly) {
+      accounts.push({ pubkey, signer: false, writable: false, source: 'lookupTable' })
+    }
+  }
+
+  return accounts
+}
+
+function instruction (ix, pubkeys) {
+  return {
+    programId: pubkeys[ix.programIdIndex],
+    accounts: ix.accounts.map(index => pubkeys[index]),
+    data: base58.decode(ix.data),
+    stackHeight: typeof ix.stackHeight === 'number' ? ix.stackHeight : null
+  }
+}
+
+function balances (meta, pubkeys) {
+  return pubkeys.map((pubkey, i) => {
+    const pre = BigInt(meta.preBalances[i] || 0)
+    const post = BigInt(meta.postBalances[i] || 0)
+
+    return { pubkey, pre, post, delta: post - pre }
+  })
+}
+
+// Accounts created or closed by the transaction only appear on one side
+function tokenBalances (meta, pubkeys) {
+  const byIndex = new Map()
+
+  for (const [side, list] of [['pre', meta.preTokenBalances], ['post', meta.postTokenBalances]]) {
+    for (const balance of list || []) {
+      let entry = byIndex.get(balance.accountIndex)
+
+      if (!entry) {
+        entry = {
+          pubkey: pubkeys[balance.accountIndex],
+          mint: balance.mint,
+          owner: balance.owner || null,
+          programId: balance.programId || null,
+          decimals: balance.uiTokenAmount.decimals,
+          pre: 0n,
+          post: 0n,
+          delta: 0n
+        }
+
+        byIndex.set(balance.accountIndex, entry)
+      }
+
+      entry[side] = BigInt(balance.uiTokenAmount.amount)
+    }
+  }
+
+  const entries = [...byIndex.keys()].sort((a, b) => a - b).map(index => byIndex.get(index))
+
+  for (const entry of entries) {
+    entry.delta = entry.post - entry.pre
+  }
+
+  return entries
+}
+
+// Wire format into the same shape as the 'json' encoding
+function decodeTransaction (buffer) {
+  const state = { buffer, offset: 0 }
+
+  const signatures = []
+  const signaturesLength = readCompactU16(state)
+
+  for (let i = 0; i < signaturesLength; i++) {
+    signatures.push(base58.encode(readBytes(state, 64)))
+  }
+
+  // The highest bit of the first byte is only set for versioned messages
+  const prefix = buffer[state.offset]
+  const version = prefix & 0x80 ? prefix & 0x7f : 'legacy'
+
+  if (version !== 'legacy') {
+    state.offset++
+
+    if (version !== 0) {
+      throw new Error('Unsupported transaction version: ' + version)
+    }
+  }
+
+  const header = {
+    numRequiredSignatures: readU8(state),
+    numReadonlySignedAccounts: readU8(state),
+    numReadonlyUnsignedAccounts: readU8(state)
+  }
+
+  const accountKeys = readArray(state, () => base58.encode(readBytes(state, 32)))
+  const recentBlockhash = base58.encode(readBytes(state, 32))
+
+  const instructions = readArray(state, () => ({
+    programIdIndex: readU8(state),
+    accounts: readArray(state, () => readU8(state)),
+    data: base58.encode(readBytes(state, readCompactU16(state))),
+    stackHeight: null
+  }))
+
+  const message = { header, accountKeys, recentBlockhash, instructions }
+
+  if (version !== 'legacy') {
+    message.addressTableLookups = readArray(state, () => ({
+      accountKey: base58.encode(readBytes(state, 32)),
+      writableIndexes: readArray(state, () => readU8(state)),
+      readonlyIndexes: readArray(state, () => readU8(state))
+    }))
+  }
+
+  return { signatures, message, version }
+}
+
+// Same shape as decodeTransaction, signatures and instruction data can also be Buffers
+function encodeTransaction ({ signatures, message, version }) {
+  return Buffer.concat([
+    encodeArray(signatures, signature => typeof signature === 'string' ? base58.decode(signature) : signature),
+    encodeMessage(message, version)
+  ])
+}
+
+function encodeMessage (message, version = 'legacy') {
+  const { header } = message
+  const versioned = version !== 'legacy'
+
+  return Buffer.concat([
+    versioned ? Buffer.from([0x80 | version]) : Buffer.alloc(0),
+    Buffer.from([header.numRequiredSignatures, header.numReadonlySignedAccounts, header.numReadonlyUnsignedAccounts]),
+    encodeArray(message.accountKeys, base58.decode),
+    base58.decode(message.recentBlockhash),
+    encodeArray(message.instructions, ix => {
+      const data = typeof ix.data === 'string' ? base58.decode(ix.data) : ix.data
+
+      return Buffer.concat([
+        Buffer.from([ix.programIdIndex]),
+        encodeArray(ix.accounts, index => Buffer.from([index])),
+        encodeCompactU16(data.length),
+        data
+      ])
+    }),
+    versioned ? encodeArray(message.addressTableLookups || [], encodeLookup) : Buffer.alloc(0)
+  ])
+}
+
+function encodeLookup (lookup) {
+  return Buffer.concat([
+    base58.decode(lookup.accountKey),
+    encodeArray(lookup.writableIndexes, index => Buffer.from([index])),
+    encodeArray(lookup.readonlyIndexes, index => Buffer.from([index]))
+  ])
+}
+
+function encodeArray (items, encode) {
+  return Buffer.concat([encodeCompactU16(items.length), ...items.map(encode)])
+}
+
+function encodeCompactU16 (value) {
+  const bytes = []
+
+  while (true) {
+    const byte = value & 0x7f
+
+    value >>= 7
+
+    if (value === 0) {
+      bytes.push(byte)
+      return Buffer.from(bytes)
+    }
+
+    bytes.push(byte | 0x80)
+  }
+}
+
+function readArray (state, read) {
+  const length = readCompactU16(state)
+  const items = new Array(length)
+
+  for (let i = 0; i < length; i++) {
+    items[i] = read()
+  }
+
+  return items
+}
+
+// Seven bits per byte, up to three bytes
+function readCompactU16 (state) {
+  let value = 0
+
+  for (let i = 0; i < 3; i++) {
+    const byte = readU8(state)
+
+    value |= (byte & 0x7f) << (i * 7)
+
+    if ((byte & 0x80) === 0) {
+      return value
+    }
+  }
+
+  throw new Error('Invalid compact-u16')
+}
+
+function readU8 (state) {
+  if (state.offset >= state.buffer.length) {
+    throw new Error('Unexpected end of transaction')
+  }
+
+  return state.buffer[state.offset++]
+}
+
+function readBytes (state, length) {
+  if (state.offset + length > state.buffer.length) {
+    throw new Error('Unexpected end of transaction')
+  }
+
+  const bytes = state.buffer.subarray(state.offset, state.offset + length)
+
+  state.offset += length
+
+  return bytes
+}
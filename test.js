@@ -1,63 +1,1270 @@
 const test = require('brittle')
 const RPC = require('./index.js')
+const MockServer = require('./lib/mock-server.js')
 
 test('basic http', async function (t) {
-  const rpc = new RPC()
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  server.handle('getSlot', 325801337)
+
+  const slot = await rpc.getSlot()
+
+  t.is(typeof slot, 'number')
+})
+
+test('basic websocket', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const subscription = await rpc.send('slotSubscribe')
+
+  t.is(typeof subscription, 'number')
+
+  const lc = t.test('subscription lifecycle')
+
+  lc.plan(1)
+
+  rpc.socket.on('message', function onMessage (msg) {
+    if (msg.method === 'slotNotification' && msg.params.subscription === subscription) {
+      rpc.socket.removeListener('message', onMessage)
+      lc.pass()
+    }
+  })
+
+  await server.notify('slotNotification', { parent: 1, root: 0, slot: 2 })
+
+  await lc
+
+  const unsubscribed = await rpc.send('slotUnsubscribe', [subscription])
+
+  t.is(unsubscribed, true)
+
+  await rpc.disconnect()
+})
+
+test('websocket reconnects and re-subscribes', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { reconnectDelay: 10 })
+
+  await rpc.connect()
+
+  const subscription = await rpc.send('slotSubscribe')
+  const notifications = []
+
+  rpc.socket.on('message', function (msg) {
+    if (msg.method === 'slotNotification' && msg.params.subscription === subscription) {
+      notifications.push(msg.params.result.slot)
+    }
+  })
+
+  await server.notify('slotNotification', { slot: 1 })
+
+  const reconnected = new Promise(resolve => rpc.socket.once('reconnect', resolve))
+
+  server.disconnect()
+
+  await reconnected
+  await waitFor(() => server.subscriptions.size === 1)
+
+  await server.notify('slotNotification', { slot: 2 })
+
+  t.alike(notifications, [1, 2])
+  t.is(methods(server, 'slotSubscribe').length, 2)
+
+  t.is(await rpc.send('slotUnsubscribe', [subscription]), true)
+  t.is(server.subscriptions.size, 0)
+
+  await rpc.disconnect()
+})
+
+test('connecting twice keeps reconnections and subscriptions', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { reconnectDelay: 10 })
+
+  await rpc.connect()
+
+  const slots = []
+
+  await rpc.onSlotChange(info => slots.push(info.slot))
+  await rpc.connect()
+
+  await waitFor(() => server.subscriptions.size === 1)
+  await server.notify('slotNotification', { slot: 1 })
+
+  const reconnected = new Promise(resolve => rpc.socket.once('reconnect', resolve))
+
+  server.disconnect()
+
+  await reconnected
+  await waitFor(() => server.subscriptions.size === 1)
+
+  await server.notify('slotNotification', { slot: 2 })
+
+  t.alike(slots, [1, 2])
+  t.is(methods(server, 'slotSubscribe').length, 3)
+
+  await rpc.disconnect()
+})
+
+test('callback subscriptions', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const logs = []
+  const roots = []
+
+  const logsSubscription = await rpc.onLogs('all', (value, context) => logs.push([value.signature, context.slot]))
+  const rootSubscription = await rpc.onRootChange(root => roots.push(root))
+
+  t.alike([...server.subscriptions.values()].map(sub => sub.params[0]), ['all', undefined])
+
+  await server.notify('logsNotification', { context: { slot: 7 }, value: { signature: 'abc', err: null, logs: [] } })
+  await server.notify('rootNotification', 42)
+
+  t.alike(logs, [['abc', 7]])
+  t.alike(roots, [42])
+
+  await rpc.unsubscribe(logsSubscription)
+  await rpc.unsubscribe(rootSubscription)
+
+  t.alike(unsubscribes(server), ['logsUnsubscribe', 'rootUnsubscribe'])
+
+  await t.exception(rpc.unsubscribe(logsSubscription), /Subscription not found/)
+
+  await rpc.disconnect()
+})
+
+test('subscription stream', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const slots = []
+  const stream = rpc.slots()
+
+  const notifier = (async function () {
+    await waitFor(() => server.subscriptions.size === 1)
+
+    for (let slot = 1; slot <= 5; slot++) {
+      await server.notify('slotNotification', { slot })
+    }
+  })()
+
+  for await (const result of stream) {
+    slots.push(result.slot)
+
+    if (slots.length === 3) break
+  }
+
+  t.alike(slots, [1, 2, 3])
+  t.alike(unsubscribes(server), ['slotUnsubscribe'])
+
+  await notifier
+
+  const overflow = rpc.subscribe('rootSubscribe', [], { highWaterMark: 2 })
+  const iterator = overflow[Symbol.asyncIterator]()
+
+  const first = iterator.next()
+
+  await waitFor(() => server.subscriptions.size === 1)
+
+  await server.notify('rootNotification', 1)
+
+  t.alike(await first, { value: 1, done: false })
+
+  for (let root = 2; root <= 5; root++) {
+    await server.notify('rootNotification', root)
+  }
+
+  // Buffered before the overflow
+  t.alike(await iterator.next(), { value: 2, done: false })
+  t.alike(await iterator.next(), { value: 3, done: false })
+
+  await t.exception(iterator.next(), /Subscription buffer overflow/)
+
+  await rpc.disconnect()
+})
+
+test('confirm signature by polling', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  server.replay('getSignatureStatuses', [
+    { result: { context: { slot: 10 }, value: [null] } },
+    { result: { context: { slot: 10 }, value: [{ slot: 10, err: null, confirmationStatus: 'processed' }] } },
+    { result: { context: { slot: 10 }, value: [{ slot: 10, err: null, confirmationStatus: 'confirmed' }] } }
+  ])
+
+  const result = await rpc.confirmSignature('sig', { interval: 10 })
+
+  t.alike(result, { status: 'confirmed', err: null, slot: 10 })
+  t.is(methods(server, 'getSignatureStatuses').length, 3)
+})
+
+test('confirm an old finalized transaction', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  // Only found in the transaction history
+  server.handle('getSignatureStatuses', ([, opts]) => ({ context: { slot: 500 }, value: [opts.searchTransactionHistory ? { slot: 10, err: null, confirmationStatus: 'finalized' } : null] }))
+  server.handle('getTransaction', { slot: 10, transaction: { signatures: ['sig'] }, meta: { err: null } })
+
+  const tx = await rpc.confirmTransaction('sig', { timeout: 100, interval: 10 })
+
+  t.is(tx.slot, 10)
+  t.is(methods(server, 'getSignatureStatuses').length, 1)
+})
+
+test('confirm signature until the blockhash expires', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  let blockHeight = 100
+
+  server.handle('getSignatureStatuses', { context: { slot: 10 }, value: [null] })
+  server.handle('getBlockHeight', () => blockHeight++)
+
+  const result = await rpc.confirmSignature('sig', { interval: 10, lastValidBlockHeight: 102 })
+
+  t.is(result.status, 'expired')
+  t.is(blockHeight, 104)
+})
+
+test('confirm signature over websocket', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  server.handle('getSignatureStatuses', { context: { slot: 10 }, value: [null] })
+
+  await rpc.connect()
+
+  const confirming = rpc.confirmSignature('sig', { websocket: true, interval: 10 })
+
+  await waitFor(() => server.subscriptions.size === 1)
+  await server.notify('signatureNotification', { context: { slot: 11 }, value: { err: { InstructionError: [0, { Custom: 1 }] } } })
+
+  const result = await confirming
+
+  t.is(result.status, 'failed')
+  t.alike(result.err, { InstructionError: [0, { Custom: 1 }] })
+  t.is(result.slot, 11)
+
+  await rpc.disconnect()
+})
+
+test('typed errors', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  server.replay('getBalance', [{ error: { code: -32602, message: 'Invalid params', data: 'Invalid param: WrongSize' } }])
+  server.replay('sendTransaction', [{ error: { code: -32002, message: 'Transaction simulation failed', data: { err: { InstructionError: [2, { Custom: 6001 }] }, logs: ['Program log: Error'] } } }])
+
+  try {
+    await rpc.getBalance('abc')
+    t.fail('should have failed')
+  } catch (err) {
+    t.ok(err instanceof RPC.RPCError)
+    t.is(err.message, 'Invalid params: Invalid param: WrongSize')
+    t.is(err.code, -32602)
+    t.is(err.data, 'Invalid param: WrongSize')
+    t.is(err.method, 'getBalance')
+  }
+
+  try {
+    await rpc.sendTransaction('AAAA')
+    t.fail('should have failed')
+  } catch (err) {
+    t.ok(err instanceof RPC.TransactionError)
+    t.is(err.code, -32002)
+    t.is(err.type, 'InstructionError')
+    t.is(err.instructionIndex, 2)
+    t.is(err.instructionError, 'Custom')
+    t.is(err.customCode, 6001)
+    t.alike(err.logs, ['Program log: Error'])
+  }
+
+  const expired = new RPC.TransactionError('sig', 'BlockhashNotFound')
+
+  t.is(expired.type, 'BlockhashNotFound')
+  t.is(expired.instructionIndex, null)
+})
+
+test('send and confirm rebroadcasts to every url', async function (t) {
+  const a = new MockServer()
+  const b = new MockServer()
+
+  const rpc = new RPC({ url: ['http://a', 'http://b'], fetch: route({ 'http://a': a, 'http://b': b }) })
+
+  let polls = 0
+
+  for (const server of [a, b]) {
+    server.handle('sendTransaction', 'sig')
+    server.handle('getSignatureStatuses', () => ({ context: { slot: 10 }, value: [++polls >= 4 ? { slot: 10, err: null, confirmationStatus: 'confirmed' } : null] }))
+    server.handle('getBlockHeight', 100)
+  }
+
+  const signature = await rpc.sendAndConfirm('AAAA', {
+    skipPreflight: false,
+    lastValidBlockHeight: 150,
+    interval: 30,
+    rebroadcastInterval: 20
+  })
+
+  const [first, ...rebroadcasts] = [...methods(a, 'sendTransaction'), ...methods(b, 'sendTransaction')]
+
+  t.is(signature, 'sig')
+  t.is(first.params[1].skipPreflight, false)
+  t.ok(methods(b, 'sendTransaction').length > 0, 'rebroadcasted to the second url')
+  t.ok(rebroadcasts.every(req => req.params[1].skipPreflight === true && req.params[1].maxRetries === 0))
+})
+
+test('simulate transaction', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  server.handle('simulateTransaction', function (params) {
+    t.is(params[0], 'AAAA')
+    t.is(params[1].sigVerify, true)
+    t.alike(params[1].accounts, { addresses: ['acc'], encoding: 'base64' })
+
+    return {
+      context: { slot: 10 },
+      value: {
+        err: { InstructionError: [1, 'InvalidAccountData'] },
+        logs: ['Program log: hello'],
+        unitsConsumed: 1234,
+        accounts: [{ data: ['aGk=', 'base64'], executable: false, lamports: 5, owner: 'owner', rentEpoch: 0, space: 2 }, null],
+        returnData: { programId: 'prog', data: ['AQI=', 'base64'] }
+      }
+    }
+  })
+
+  const result = await rpc.simulateTransaction('AAAA', { sigVerify: true, accounts: ['acc'] })
+
+  t.is(result.unitsConsumed, 1234)
+  t.alike(result.logs, ['Program log: hello'])
+  t.is(result.error.instructionIndex, 1)
+  t.is(result.error.instructionError, 'InvalidAccountData')
+  t.alike(result.accounts[0].data, Buffer.from('hi'))
+  t.is(result.accounts[1], null)
+  t.alike(result.returnData.data, Buffer.from([1, 2]))
+})
+
+test('batch requests', async function (t) {
+  const server = new MockServer()
+  const posts = []
+  const rpc = createRPC(server, { fetch: record(server, posts) })
+
+  server.handle('getSlot', 10)
+  server.replay('getBalance', [{ error: { code: -32602, message: 'Invalid params' } }])
+
+  const [slot, balance] = await rpc.batch([{ method: 'getSlot' }, { method: 'getBalance', params: ['abc'] }])
+
+  t.is(slot, 10)
+  t.ok(balance instanceof RPC.RPCError)
+  t.is(balance.code, -32602)
+  t.is(balance.method, 'getBalance')
+  t.is(posts.length, 1)
+})
+
+test('coalesce requests into batches', async function (t) {
+  const server = new MockServer()
+  const posts = []
+  const rpc = createRPC(server, { fetch: record(server, posts), batch: true, batchSize: 3 })
+
+  server.handle('getBlock', params => ({ parentSlot: params[0] - 1 }))
+  server.handle('getBlocks', () => [10, 11, 13, 14, 15])
+
+  const blocks = await rpc.getBlocks(10, 16)
+
+  t.alike(blocks.map(block => typeof block === 'symbol' ? null : block.parentSlot), [9, 10, null, 12, 13, 14])
+  t.alike(posts.slice(1).map(post => post.length), [3, 2])
+
+  t.is((await rpc.getBlock(20)).parentSlot, 19)
+  t.absent(Array.isArray(posts[3]), 'single requests are not batched')
+})
+
+test('explicit per-call options skip batches', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { batch: true, retry: { delay: 10 } })
+
+  server.replay('getSlot', [{ error: { code: 429, message: 'Too many requests' } }])
+  server.handle('getSlot', 10)
+
+  await t.exception(rpc.request('getSlot', [], { retry: false }), RPC.RateLimitError)
+  t.is(methods(server, 'getSlot').length, 1)
+})
+
+test('endpoints are ejected after errors', async function (t) {
+  const bad = new MockServer()
+  const good = new MockServer()
+
+  const rpc = new RPC({ url: ['http://bad', 'http://good'], fetch: route({ 'http://bad': bad, 'http://good': good }), maxErrors: 1, retry: { delay: 10 } })
+
+  bad.replay('getSlot', [{ error: { code: 429, message: 'Too many requests' } }])
+  good.handle('getSlot', 10)
+
+  t.is(await rpc.getSlot(), 10)
+  t.is(await rpc.getSlot(), 10)
+  t.is(await rpc.getSlot(), 10)
+
+  t.is(bad.requests.length, 1)
+  t.is(good.requests.length, 3)
+
+  const [a, b] = rpc.health
+
+  t.is(a.ejected, true)
+  t.is(a.errors, 1)
+  t.is(b.ejected, false)
+  t.is(b.requests, 3)
+  t.is(typeof b.latency, 'number')
+})
+
+test('health check ejects lagging endpoints', async function (t) {
+  const primary = new MockServer()
+  const secondary = new MockServer()
+
+  const rpc = new RPC({ url: ['http://primary', 'http://secondary'], fetch: route({ 'http://primary': primary, 'http://secondary': secondary }), strategy: 'fallback', maxSlotLag: 50 })
+
+  primary.handle('getHealth', 'ok').handle('getSlot', 900)
+  secondary.handle('getHealth', 'ok').handle('getSlot', 1000)
+
+  t.is(rpc._url(), 'http://primary')
+
+  const health = await rpc.checkHealth()
+
+  t.alike(health.map(endpoint => [endpoint.slot, endpoint.slotLag, endpoint.ejected]), [[900, 100, true], [1000, 0, false]])
+  t.is(rpc._url(), 'http://secondary')
+})
+
+test('periodic health checks stop on close', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { healthCheckInterval: 10 })
+
+  server.handle('getHealth', 'ok').handle('getSlot', 1000)
+
+  await waitFor(() => methods(server, 'getHealth').length >= 2)
+  await rpc.close()
+
+  // A check that was already running can still finish
+  await new Promise(resolve => setTimeout(resolve, 20))
+
+  const probes = methods(server, 'getHealth').length
+
+  await new Promise(resolve => setTimeout(resolve, 50))
+
+  t.is(methods(server, 'getHealth').length, probes, 'no probes after close')
+})
+
+test('rate limit and max inflight', async function (t) {
+  const server = new MockServer({ latency: 60 })
+  const rpc = createRPC(server, { rateLimit: 20, burst: 2, maxInflight: 2 })
+
+  server.handle('getBlock', params => ({ parentSlot: params[0] - 1 }))
+  server.handle('getBlocks', [0, 1, 2, 3, 4, 5])
+
+  const started = Date.now()
+  const blocks = await rpc.getBlocks(0, 6)
+
+  t.is(blocks.length, 6)
+  t.is(server.maxInflight, 2)
+  t.ok(Date.now() - started >= 250, 'requests waited for tokens')
+})
+
+test('rate limit under one request per second', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { rateLimit: 0.5 })
+
+  server.handle('getSlot', 100)
+
+  const started = Date.now()
+
+  t.is(await rpc.getSlot(), 100)
+  t.ok(Date.now() - started < 1000, 'the first request is not delayed')
+})
+
+test('honor retry-after', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { retry: { delay: 10 } })
+
+  server.replay('getSlot', [{ status: 429, headers: { 'Retry-After': '1' } }])
+  server.handle('getSlot', 10)
+
+  const started = Date.now()
+
+  t.is(await rpc.getSlot(), 10)
+  t.ok(Date.now() - started >= 1000)
+})
+
+test('retry policy', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { retry: { max: 2, delay: 10, strategy: 'exponential', retryable: err => err.code === -32602 } })
+
+  const invalid = { error: { code: -32602, message: 'Invalid params' } }
+
+  server.replay('getSlot', [invalid, invalid])
+  server.handle('getSlot', 10)
+
+  t.is(await rpc.getSlot(), 10)
+  t.is(server.requests.length, 3)
+
+  server.replay('getSlot', [invalid])
+
+  await t.exception(rpc.request('getSlot', [], { retry: false }), /Invalid params/)
+  t.is(server.requests.length, 4)
+})
+
+test('request timeout and cancellation', async function (t) {
+  const server = new MockServer({ latency: 500 })
+  const rpc = createRPC(server)
+
+  server.handle('getSlot', 10)
+
+  await t.exception(rpc.request('getSlot', [], { timeout: 50, retry: false }), /timeout/i)
+
+  const controller = new AbortController()
+  const started = Date.now()
+
+  setTimeout(() => controller.abort(), 50)
+
+  await t.exception(rpc.request('getSlot', [], { signal: controller.signal }), /abort/i)
+  t.ok(Date.now() - started < 500, 'cancelled without retrying')
+})
+
+test('websocket send timeout', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server, { socketTimeout: 50 })
+
+  server.handle('getSlot', 10)
+  server.replay('getSlot', [{ result: 10, delay: 100 }, { result: 10, delay: 100 }])
+
+  await rpc.connect()
+
+  await t.exception(rpc.send('getSlot'), /ACK timed out/)
+  await t.exception(rpc.send('getSlot', [], { timeout: 10 }), /ACK timed out/)
+
+  t.is(await rpc.send('getSlot'), 10)
+
+  await rpc.disconnect()
+})
+
+test('on account change', async function (t) {
+  t.plan(2)
+
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const poolAddress = 'AMb79jvh2q7F8RRheMWp8VcWAnMj1bgzWqhKbMpXniE5'
+
+  const subscriptionId = await rpc.onAccountChange(poolAddress, function (accountInfo, context) {
+    t.is(accountInfo.lamports, 1)
+    t.is(context.slot, 5)
+  })
+
+  await server.notify('accountNotification', { context: { slot: 5 }, value: { data: ['', 'base64'], lamports: 1 } })
+
+  await rpc.accountUnsubscribe(subscriptionId)
+
+  await rpc.disconnect()
+})
+
+test('get program accounts', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const account = (data) => ({ data: [Buffer.from(data).toString('base64'), 'base64'], executable: false, lamports: 10, owner: 'prog', rentEpoch: 0, space: data.length })
+
+  server.handle('getProgramAccounts', function ([programId, opts]) {
+    t.is(programId, 'prog')
+    t.alike(opts.filters, [{ dataSize: 3 }, { memcmp: { offset: 1, bytes: 'AgM=', encoding: 'base64' } }])
+
+    const value = [{ pubkey: 'a', account: account('abc') }]
+
+    return opts.withContext ? { context: { slot: 10 }, value } : value
+  })
+
+  const filters = [{ dataSize: 3 }, { memcmp: { offset: 1, bytes: Buffer.from([2, 3]) } }]
+
+  const accounts = await rpc.getProgramAccounts('prog', { filters })
+
+  t.is(accounts[0].pubkey, 'a')
+  t.alike(accounts[0].account.data, Buffer.from('abc'))
+  t.is(accounts[0].account.lamports, 10)
+
+  const withContext = await rpc.getProgramAccounts('prog', { filters, withContext: true })
+
+  t.is(withContext.context.slot, 10)
+  t.is(withContext.value[0].pubkey, 'a')
+})
+
+test('iterate program accounts', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const pubkeys = ['a', 'b', 'c', 'd', 'e']
+
+  server.handle('getProgramAccounts', function ([, opts]) {
+    t.alike(opts.dataSlice, { offset: 0, length: 0 })
+
+    return pubkeys.map(pubkey => ({ pubkey, account: { data: ['', 'base64'], lamports: 1, owner: 'prog' } }))
+  })
+
+  server.handle('getMultipleAccounts', ([keys]) => ({
+    context: { slot: 10 },
+    value: keys.map(key => key === 'c' ? null : { data: [Buffer.from(key).toString('base64'), 'base64'], lamports: 1, owner: 'prog' })
+  }))
+
+  const found = []
+
+  for await (const { pubkey, account } of rpc.iterateProgramAccounts('prog', { batchSize: 2 })) {
+    found.push([pubkey, account.data.toString()])
+  }
+
+  t.alike(found, [['a', 'a'], ['b', 'b'], ['d', 'd'], ['e', 'e']])
+  t.is(methods(server, 'getMultipleAccounts').length, 3)
+})
+
+test('iterate program accounts skips the ones that changed after the scan', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const current = { a: 'xa', b: 'ya', c: null, d: 'xdd', e: 'xe', f: 'xf' }
+
+  server.handle('getProgramAccounts', () => Object.keys(current).map(pubkey => ({ pubkey, account: { data: ['', 'base64'], lamports: 1, owner: 'prog' } })))
+
+  server.handle('getMultipleAccounts', ([keys]) => ({
+    context: { slot: 10 },
+    value: keys.map(key => current[key] === null ? null : { data: [Buffer.from(current[key]).toString('base64'), 'base64'], lamports: 1, owner: key === 'e' ? 'other' : 'prog' })
+  }))
+
+  const filters = [{ dataSize: 2 }, { memcmp: { offset: 0, bytes: Buffer.from('x') } }]
+  const found = []
+
+  for await (const { pubkey } of rpc.iterateProgramAccounts('prog', { filters })) {
+    found.push(pubkey)
+  }
+
+  t.alike(found, ['a', 'f'])
+})
+
+test('get multiple accounts in chunks', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const addresses = Array.from({ length: 250 }, (_, i) => 'addr' + i)
+
+  server.handle('getMultipleAccounts', function ([keys]) {
+    t.ok(keys.length <= 100)
+
+    return {
+      context: { slot: 1000 + server.requests.length },
+      value: keys.map(key => key === 'addr150' ? null : { data: [Buffer.from(key).toString('base64'), 'base64'], lamports: 1, owner: 'owner' })
+    }
+  })
+
+  const { value, contexts } = await rpc.getMultipleAccounts(addresses, { withContext: true, concurrency: 2 })
+
+  t.is(value.length, 250)
+  t.is(value[0].data.toString(), 'addr0')
+  t.is(value[249].data.toString(), 'addr249')
+  t.is(value[150], null)
+
+  t.alike(contexts.map(context => [context.offset, context.length]), [[0, 100], [100, 100], [200, 50]])
+  t.ok(contexts.every(context => context.slot > 1000))
+
+  const accounts = await rpc.getMultipleAccounts(['addr1'])
+
+  t.is(accounts[0].data.toString(), 'addr1')
+})
+
+test('token accounts and mints', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const mintAddress = key(1)
+  const owner = key(2)
+
+  // Token-2022 mint with a transfer fee and a metadata pointer
+  const fee = Buffer.alloc(108)
+  fee.fill(3, 0, 32)
+  fee.writeBigUInt64LE(7n, 64)
+  fee.writeUInt16LE(50, 106)
+
+  const pointer = Buffer.concat([Buffer.alloc(32), RPC.base58.decode(mintAddress)])
+
+  const mint = Buffer.concat([
+    mintData({ supply: 2n ** 64n - 1n, decimals: 6 }),
+    Buffer.alloc(165 - 82),
+    Buffer.from([1]),
+    extension(1, fee),
+    extension(18, pointer)
+  ])
+
+  const account = tokenAccountData({ mint: mintAddress, owner, amount: 1500000n })
+
+  server.handle('getAccountInfo', ([address]) => ({ context: { slot: 1 }, value: accounts[address] || null }))
+  server.handle('getMultipleAccounts', ([addresses]) => ({ context: { slot: 1 }, value: addresses.map(address => accounts[address] || null) }))
+  server.handle('getTokenAccountsByOwner', ([, filter]) => {
+    const value = filter.programId === RPC.TOKEN_PROGRAM_ID ? [{ pubkey: key(3), account: accounts[key(3)] }] : []
+    return { context: { slot: 1 }, value }
+  })
+  server.handle('getTokenSupply', () => ({ context: { slot: 1 }, value: { amount: '18446744073709551615', decimals: 6, uiAmountString: '18446744073709.551615' } }))
+
+  const accounts = {
+    [mintAddress]: encodeAccount(mint, RPC.TOKEN_2022_PROGRAM_ID),
+    [key(3)]: encodeAccount(account, RPC.TOKEN_PROGRAM_ID),
+    [key(4)]: encodeAccount(Buffer.alloc(10), '11111111111111111111111111111111')
+  }
+
+  const decoded = await rpc.getMint(mintAddress)
+
+  t.is(decoded.programId, RPC.TOKEN_2022_PROGRAM_ID)
+  t.is(decoded.supply, 2n ** 64n - 1n)
+  t.is(decoded.decimals, 6)
+  t.is(decoded.mintAuthority, key(5))
+  t.is(decoded.freezeAuthority, null)
+  t.is(decoded.extensions.transferFeeConfig.transferFeeConfigAuthority, RPC.base58.encode(Buffer.alloc(32, 3)))
+  t.is(decoded.extensions.transferFeeConfig.withdrawWithheldAuthority, null)
+  t.is(decoded.extensions.transferFeeConfig.withheldAmount, 7n)
+  t.is(decoded.extensions.transferFeeConfig.newerTransferFee.transferFeeBasisPoints, 50)
+  t.alike(decoded.extensions.metadataPointer, { authority: null, metadataAddress: mintAddress })
+
+  const tokenAccount = await rpc.getTokenAccount(key(3))
+
+  t.is(tokenAccount.mint, mintAddress)
+  t.is(tokenAccount.owner, owner)
+  t.is(tokenAccount.amount, 1500000n)
+  t.is(tokenAccount.decimals, 6)
+  t.is(tokenAccount.state, 'initialized')
+  t.alike(tokenAccount.extensions, {})
+
+  const tokenAccounts = await rpc.getTokenAccounts(owner)
+
+  t.is(tokenAccounts.length, 1)
+  t.is(tokenAccounts[0].address, key(3))
+  t.is(tokenAccounts[0].decimals, 6)
+  t.is(methods(server, 'getTokenAccountsByOwner').length, 2)
+
+  t.alike(await rpc.getTokenSupply(mintAddress), { amount: 2n ** 64n - 1n, decimals: 6 })
+
+  await t.exception(rpc.getMint(key(4)), /Not a token mint/)
+  t.is(await rpc.getMint(key(6)), null)
+
+  function key (i) {
+    return RPC.base58.encode(Buffer.alloc(32, i))
+  }
+
+  function mintData ({ supply, decimals }) {
+    const data = Buffer.alloc(82)
+    data.writeUInt32LE(1, 0)
+    data.fill(5, 4, 36)
+    data.writeBigUInt64LE(supply, 36)
+    data[44] = decimals
+    data[45] = 1
+    return data
+  }
+
+  function tokenAccountData ({ mint, owner, amount }) {
+    const data = Buffer.alloc(165)
+    RPC.base58.decode(mint).copy(data, 0)
+    RPC.base58.decode(owner).copy(data, 32)
+    data.writeBigUInt64LE(amount, 64)
+    data[108] = 1
+    return data
+  }
+
+  function extension (type, value) {
+    const header = Buffer.alloc(4)
+    header.writeUInt16LE(type, 0)
+    header.writeUInt16LE(value.length, 2)
+    return Buffer.concat([header, value])
+  }
+
+  function encodeAccount (data, programId) {
+    return { data: [data.toString('base64'), 'base64'], executable: false, lamports: 1, owner: programId, rentEpoch: 0, space: data.length }
+  }
+})
+
+test('iterate signatures for address', async function (t) {
+  const a = new MockServer({ latency: 5 })
+  const b = new MockServer({ latency: 5 })
+  const rpc = createRPC(a, { url: ['http://a', 'http://b'], fetch: route({ 'http://a': a, 'http://b': b }) })
+
+  const history = Array.from({ length: 25 }, (_, i) => ({ signature: 'sig' + (25 - i), slot: 100 - i, err: null }))
+
+  const page = ([, { limit, before, until }]) => {
+    const start = before ? history.findIndex(info => info.signature === before) + 1 : 0
+    const end = until ? history.findIndex(info => info.signature === until) : history.length
+
+    return history.slice(start, end).slice(0, limit)
+  }
+
+  // Endpoint A lost the older history
+  a.handle('getSignaturesForAddress', params => params[1].before === 'sig6' ? [] : page(params))
+  b.handle('getSignaturesForAddress', page)
+
+  a.handle('getTransaction', ([signature]) => ({ slot: 1, transaction: { signatures: [signature] } }))
+  b.handle('getTransaction', ([signature]) => ({ slot: 1, transaction: { signatures: [signature] } }))
+
+  const signatures = []
+
+  for await (const info of rpc.iterateSignaturesForAddress('address', { limit: 10, commitment: 'finalized' })) {
+    signatures.push(info.signature)
+  }
+
+  t.is(signatures.length, 25)
+  t.is(signatures[0], 'sig25')
+  t.is(signatures[24], 'sig1')
+  t.ok(methods(a, 'getSignaturesForAddress').some(req => req.params[1].before === 'sig6'), 'empty page was re-checked')
+  t.ok(methods(a, 'getSignaturesForAddress').every(req => req.params[1].commitment === 'finalized'))
+
+  const until = await rpc.getAllSignaturesForAddress('address', { limit: 10, until: 'sig20' })
+
+  t.alike(until.map(info => info.signature), ['sig25', 'sig24', 'sig23', 'sig22', 'sig21'])
+
+  const txs = []
+
+  for await (const info of rpc.iterateSignaturesForAddress('address', { limit: 10, max: 12, transactions: true, concurrency: 2 })) {
+    txs.push(info)
+  }
+
+  t.is(txs.length, 12)
+  t.alike(txs[11].transaction.transaction.signatures, [txs[11].signature])
+  t.ok(a.maxInflight <= 2 && b.maxInflight <= 2)
+})
+
+test('normalize transactions', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const tx = {
+    slot: 200,
+    blockTime: 1700000000,
+    version: 0,
+    transaction: {
+      signatures: ['sig1'],
+      message: {
+        header: { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 2 },
+        accountKeys: ['payer', 'destination', 'programA', 'programB'],
+        recentBlockhash: 'blockhash',
+        instructions: [
+          { programIdIndex: 2, accounts: [0, 4, 5], data: RPC.base58.encode(Buffer.from('hi')), stackHeight: null },
+          { programIdIndex: 3, accounts: [1], data: '', stackHeight: null }
+        ],
+        addressTableLookups: [{ accountKey: 'table', writableIndexes: [0], readonlyIndexes: [1] }]
+      }
+    },
+    meta: {
+      err: null,
+      fee: 5000,
+      preBalances: [1000000, 0, 1, 1, 5, 6],
+      postBalances: [895000, 100000, 1, 1, 5, 6],
+      innerInstructions: [{ index: 0, instructions: [{ programIdIndex: 3, accounts: [4], data: RPC.base58.encode(Buffer.from('x')), stackHeight: 2 }] }],
+      loadedAddresses: { writable: ['tokenA'], readonly: ['mint'] },
+      preTokenBalances: [{ accountIndex: 4, mint: 'mint', owner: 'payer', programId: RPC.TOKEN_PROGRAM_ID, uiTokenAmount: { amount: '100', decimals: 6 } }],
+      postTokenBalances: [
+        { accountIndex: 1, mint: 'mint', owner: 'other', programId: RPC.TOKEN_PROGRAM_ID, uiTokenAmount: { amount: '60', decimals: 6 } },
+        { accountIndex: 4, mint: 'mint', owner: 'payer', programId: RPC.TOKEN_PROGRAM_ID, uiTokenAmount: { amount: '40', decimals: 6 } }
+      ],
+      logMessages: ['Program programA invoke [1]'],
+      computeUnitsConsumed: 1234
+    }
+  }
+
+  server.handle('getTransaction', tx)
+  server.handle('getBlock', { blockTime: 1700000000, transactions: [{ transaction: tx.transaction, meta: tx.meta, version: 0 }] })
+
+  const normalized = await rpc.getTransaction('sig1', { normalize: true })
+
+  t.alike(normalized.accounts.map(account => [account.pubkey, account.signer, account.writable, account.source]), [
+    ['payer', true, true, 'transaction'],
+    ['destination', false, true, 'transaction'],
+    ['programA', false, false, 'transaction'],
+    ['programB', false, false, 'transaction'],
+    ['tokenA', false, true, 'lookupTable'],
+    ['mint', false, false, 'lookupTable']
+  ])
+
+  const [first, second] = normalized.instructions
+
+  t.is(first.programId, 'programA')
+  t.alike(first.accounts, ['payer', 'tokenA', 'mint'])
+  t.alike(first.data, Buffer.from('hi'))
+  t.alike(first.innerInstructions, [{ programId: 'programB', accounts: ['tokenA'], data: Buffer.from('x'), stackHeight: 2 }])
+  t.is(second.programId, 'programB')
+  t.alike(second.innerInstructions, [])
+
+  t.alike(normalized.balances.slice(0, 2), [
+    { pubkey: 'payer', pre: 1000000n, post: 895000n, delta: -105000n },
+    { pubkey: 'destination', pre: 0n, post: 100000n, delta: 100000n }
+  ])
+
+  t.alike(normalized.tokenBalances.map(balance => [balance.pubkey, balance.owner, balance.pre, balance.post, balance.delta]), [
+    ['destination', 'other', 0n, 60n, 60n],
+    ['tokenA', 'payer', 100n, 40n, -60n]
+  ])
+
+  t.is(normalized.signature, 'sig1')
+  t.is(normalized.fee, 5000)
+  t.is(normalized.version, 0)
+
+  const block = await rpc.getBlock(200, { normalize: true })
+
+  t.is(block.transactions[0].slot, 200)
+  t.is(block.transactions[0].blockTime, 1700000000)
+  t.is(block.transactions[0].instructions[0].programId, 'programA')
+
+  for (const transactionDetails of ['signatures', 'accounts', 'none']) {
+    await t.exception(rpc.getBlock(200, { normalize: true, transactionDetails }), /Normalize requires transactionDetails to be full/)
+  }
+})
+
+test('decode binary transactions', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const key = i => Buffer.alloc(32, i)
+
+  // Version 0 with a lookup table, and instruction data longer than one compact-u16 byte
+  const v0 = Buffer.concat([
+    Buffer.from([1]), Buffer.alloc(64, 1),
+    Buffer.from([0x80, 1, 0, 1]),
+    Buffer.from([3]), key(1), key(2), key(3),
+    key(9),
+    Buffer.from([1, 2, 2, 0, 3, 0x82, 0x01]), Buffer.alloc(130, 7),
+    Buffer.from([1]), key(4), Buffer.from([1, 0, 2, 1, 2])
+  ])
+
+  const legacy = Buffer.concat([
+    Buffer.from([1]), Buffer.alloc(64, 1),
+    Buffer.from([1, 0, 1]),
+    Buffer.from([2]), key(1), key(2),
+    key(9),
+    Buffer.from([1, 1, 1, 0, 1, 0xff])
+  ])
 
-  const slot = await rpc.getSlot()
+  const meta = { err: null, fee: 5000, preBalances: [], postBalances: [], loadedAddresses: { writable: ['loadedA'], readonly: ['loadedB', 'loadedC'] } }
 
-  t.is(typeof slot, 'number')
+  server.handle('getBlock', { blockTime: 1, transactions: [{ transaction: [v0.toString('base64'), 'base64'], meta, version: 0 }] })
+  server.handle('getTransaction', ([, { encoding }]) => ({ slot: 5, transaction: [RPC.base58.encode(legacy), encoding], meta: null }))
+
+  const block = await rpc.getBlock(10, { encoding: 'base64' })
+  const { transaction, version } = block.transactions[0]
+
+  t.is(version, 0)
+  t.is(transaction.signatures[0], RPC.base58.encode(Buffer.alloc(64, 1)))
+  t.alike(transaction.message.header, { numRequiredSignatures: 1, numReadonlySignedAccounts: 0, numReadonlyUnsignedAccounts: 1 })
+  t.alike(transaction.message.accountKeys, [key(1), key(2), key(3)].map(RPC.base58.encode))
+  t.is(transaction.message.recentBlockhash, RPC.base58.encode(key(9)))
+  t.alike(RPC.base58.decode(transaction.message.instructions[0].data), Buffer.alloc(130, 7))
+  t.alike(transaction.message.addressTableLookups, [{ accountKey: RPC.base58.encode(key(4)), writableIndexes: [0], readonlyIndexes: [1, 2] }])
+
+  const normalized = await rpc.getBlock(10, { encoding: 'base64', normalize: true })
+
+  t.alike(normalized.transactions[0].instructions[0].accounts, [RPC.base58.encode(key(1)), 'loadedA'])
+
+  const tx = await rpc.getTransaction('sig', { encoding: 'base58' })
+
+  t.is(tx.version, 'legacy')
+  t.alike(tx.transaction.message.instructions, [{ programIdIndex: 1, accounts: [0], data: RPC.base58.encode(Buffer.from([0xff])), stackHeight: null }])
+  t.absent(tx.transaction.message.addressTableLookups)
+
+  t.exception(() => RPC.decodeTransaction(legacy.subarray(0, 100)), /Unexpected end of transaction/)
 })
 
-test('basic websocket', async function (t) {
-  const rpc = new RPC()
+test('parse program logs', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const event = Buffer.from('event')
+  const logs = [
+    'Program ComputeBudget111111111111111111111111111111 invoke [1]',
+    'Program ComputeBudget111111111111111111111111111111 success',
+    'Program Prog1111111111111111111111111111111111111 invoke [1]',
+    'Program log: Instruction: Swap',
+    'Program Tokenkeg invoke [2]',
+    'Program log: Instruction: Transfer',
+    'Program Tokenkeg consumed 4645 of 180000 compute units',
+    'Program Tokenkeg success',
+    'Program data: ' + event.toString('base64'),
+    'Program return: Prog1111111111111111111111111111111111111 AQI=',
+    'Program Prog1111111111111111111111111111111111111 consumed 20000 of 200000 compute units',
+    'Program Prog1111111111111111111111111111111111111 failed: custom program error: 0x1771'
+  ]
+
+  const [budget, program] = RPC.parseLogs(logs)
+
+  t.is(budget.success, true)
+  t.is(program.programId, 'Prog1111111111111111111111111111111111111')
+  t.alike(program.logs, ['Instruction: Swap'])
+  t.alike(program.data, [event])
+  t.alike(program.returnData, Buffer.from([1, 2]))
+  t.alike(program.computeUnits, { consumed: 20000, limit: 200000 })
+  t.is(program.success, false)
+  t.is(program.error, 'custom program error: 0x1771')
+
+  t.is(program.invocations.length, 1)
+  t.is(program.invocations[0].depth, 2)
+  t.alike(program.invocations[0].logs, ['Instruction: Transfer'])
+  t.is(program.invocations[0].success, true)
 
   await rpc.connect()
 
-  const subscription = await rpc.send('slotSubscribe')
+  const parsed = []
 
-  t.is(typeof subscription, 'number')
+  await rpc.onLogs('all', value => parsed.push(value), { parse: true })
+  await server.notify('logsNotification', { context: { slot: 7 }, value: { signature: 'abc', err: null, logs } })
 
-  const lc = t.test('subscription lifecycle')
+  t.is(parsed[0].signature, 'abc')
+  t.is(parsed[0].invocations.length, 2)
 
-  lc.plan(1)
+  await rpc.disconnect()
+})
 
-  rpc.socket.on('message', function onMessage (msg) {
-    if (msg.method === 'slotNotification' && msg.params.subscription === subscription) {
-      rpc.socket.removeListener('message', onMessage)
-      lc.pass()
-    }
+test('decode anchor accounts and events', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  const programId = RPC.base58.encode(Buffer.alloc(32, 7))
+  const authority = RPC.base58.encode(Buffer.alloc(32, 5))
+
+  const idl = {
+    address: programId,
+    accounts: [{ name: 'Pool', discriminator: [1, 2, 3, 4, 5, 6, 7, 8] }],
+    events: [{ name: 'Swapped', discriminator: [...sighash('event:Swapped')] }],
+    types: [
+      {
+        name: 'Pool',
+        type: {
+          kind: 'struct',
+          fields: [
+            { name: 'authority', type: 'pubkey' },
+            { name: 'amount', type: 'u64' },
+            { name: 'fee', type: 'u16' },
+            { name: 'tags', type: { vec: 'string' } },
+            { name: 'limit', type: { option: 'u64' } },
+            { name: 'status', type: { defined: { name: 'Status' } } },
+            { name: 'seed', type: { array: ['u8', 4] } },
+            { name: 'big', type: 'u128' }
+          ]
+        }
+      },
+      { name: 'Status', type: { kind: 'enum', variants: [{ name: 'Active' }, { name: 'Paused', fields: [{ name: 'until', type: 'i64' }] }] } },
+      { name: 'Swapped', type: { kind: 'struct', fields: [{ name: 'amount', type: 'u64' }, { name: 'user', type: 'pubkey' }] } }
+    ]
+  }
+
+  const pool = Buffer.concat([
+    Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]),
+    RPC.base58.decode(authority),
+    u64(2n ** 63n + 5n),
+    Buffer.from([30, 0]),
+    Buffer.from([2, 0, 0, 0]), Buffer.from([1, 0, 0, 0]), Buffer.from('a'), Buffer.from([2, 0, 0, 0]), Buffer.from('bc'),
+    Buffer.from([1]), u64(7n),
+    Buffer.from([1]), u64(2n ** 64n - 5n),
+    Buffer.from([9, 9, 9, 9]),
+    u64(0n), u64(2n ** 36n)
+  ])
+
+  const accounts = {
+    pool: { data: [pool.toString('base64'), 'base64'], executable: false, lamports: 1, owner: programId, rentEpoch: 0, space: pool.length },
+    other: { data: [Buffer.alloc(16).toString('base64'), 'base64'], executable: false, lamports: 1, owner: programId, rentEpoch: 0, space: 16 }
+  }
+
+  server.handle('getAccountInfo', ([address]) => ({ context: { slot: 1 }, value: accounts[address] }))
+
+  const account = await rpc.getDecodedAccount('pool', idl)
+
+  t.is(account.name, 'Pool')
+  t.is(account.lamports, 1)
+  t.alike(account.decoded, {
+    authority,
+    amount: 2n ** 63n + 5n,
+    fee: 30,
+    tags: ['a', 'bc'],
+    limit: 7n,
+    status: { Paused: { until: -5n } },
+    seed: Buffer.from([9, 9, 9, 9]),
+    big: 2n ** 100n
   })
 
-  await lc
+  await t.exception(rpc.getDecodedAccount('other', idl), /Unknown account discriminator/)
 
-  const unsubscribed = await rpc.send('slotUnsubscribe', [subscription])
+  const coder = new RPC.AnchorCoder(idl)
 
-  t.is(unsubscribed, true)
+  for (const length of [8 + 32 + 4, 8 + 32 + 8 + 1]) {
+    t.exception(() => coder.decodeAccount(pool.subarray(0, length)), /Unexpected end of data/)
+  }
+
+  await rpc.connect()
+
+  const changes = []
+  const events = []
+
+  await rpc.onAccountChange('pool', value => changes.push(value), { idl })
+  const signatures = []
+
+  await rpc.onLogs(programId, value => {
+    signatures.push(value.signature)
+    events.push(...value.events)
+  }, { idl })
+
+  await server.notify('accountNotification', { context: { slot: 2 }, value: accounts.pool })
+
+  const swapped = Buffer.concat([sighash('event:Swapped'), u64(100n), RPC.base58.decode(authority)])
+
+  await server.notify('logsNotification', {
+    context: { slot: 2 },
+    value: {
+      signature: 'abc',
+      err: null,
+      logs: [
+        'Program ' + programId + ' invoke [1]',
+        'Program data: ' + swapped.toString('base64'),
+        'Program ' + programId + ' success'
+      ]
+    }
+  })
+
+  // Truncated data with the discriminator of an event
+  await server.notify('logsNotification', {
+    context: { slot: 3 },
+    value: {
+      signature: 'def',
+      err: null,
+      logs: [
+        'Program ' + programId + ' invoke [1]',
+        'Program data: ' + swapped.subarray(0, 12).toString('base64'),
+        'Program ' + programId + ' success'
+      ]
+    }
+  })
+
+  t.is(changes[0].decoded.fee, 30)
+  t.alike(signatures, ['abc', 'def'])
+  t.alike(events, [{ name: 'Swapped', data: { amount: 100n, user: authority } }])
 
   await rpc.disconnect()
+
+  function u64 (value) {
+    const buffer = Buffer.alloc(8)
+    buffer.writeBigUInt64LE(value)
+    return buffer
+  }
+
+  function sighash (preimage) {
+    return require('crypto').createHash('sha256').update(preimage).digest().subarray(0, 8)
+  }
 })
 
-test.skip('on account change', async function (t) {
-  t.plan(1)
+test('build, sign, and send transactions', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
 
-  const rpc = new RPC()
+  const payer = new RPC.Keypair(Buffer.alloc(32, 1))
+  const signer = RPC.Keypair.generate()
 
-  await rpc.connect()
+  const programId = RPC.base58.encode(Buffer.alloc(32, 7))
+  const writable = RPC.base58.encode(Buffer.alloc(32, 2))
+  const readonly = RPC.base58.encode(Buffer.alloc(32, 3))
 
-  const poolAddress = 'AMb79jvh2q7F8RRheMWp8VcWAnMj1bgzWqhKbMpXniE5'
+  server.handle('getLatestBlockhash', { context: { slot: 1 }, value: { blockhash: RPC.base58.encode(Buffer.alloc(32, 9)), lastValidBlockHeight: 150 } })
+  server.handle('sendTransaction', ([encoded]) => RPC.decodeTransaction(Buffer.from(encoded, 'base64')).signatures[0])
 
-  const subscriptionId = await rpc.onAccountChange(poolAddress, function (accountInfo, context) {
-    t.comment(accountInfo, context)
+  const tx = await rpc.createTransaction({ payer: payer.publicKey, computeUnitLimit: 200000, computeUnitPrice: 1000 })
+
+  t.is(tx.lastValidBlockHeight, 150)
+
+  tx.add({
+    programId,
+    keys: [
+      { pubkey: readonly, isSigner: false, isWritable: false },
+      { pubkey: signer.publicKey, isSigner: true, isWritable: false },
+      { pubkey: writable, isSigner: false, isWritable: true }
+    ],
+    data: Buffer.from([1, 2, 3])
   })
 
-  // ...
+  t.exception(() => tx.serialize(), /Missing signature/)
+  t.exception(() => tx.sign(RPC.Keypair.generate()), /Unknown signer/)
 
-  await rpc.accountUnsubscribe(subscriptionId)
+  tx.sign(payer, signer)
+
+  const decoded = RPC.decodeTransaction(tx.serialize())
+  const { message } = decoded
+
+  t.is(decoded.version, 'legacy')
+  t.alike(message.header, { numRequiredSignatures: 2, numReadonlySignedAccounts: 1, numReadonlyUnsignedAccounts: 3 })
+  t.alike(message.accountKeys, [payer.publicKey, signer.publicKey, writable, 'ComputeBudget111111111111111111111111111111', readonly, programId])
+  t.alike(message.instructions.map(ix => [...RPC.base58.decode(ix.data)]), [[2, 0x40, 0x0d, 0x03, 0], [3, 0xe8, 0x03, 0, 0, 0, 0, 0, 0], [1, 2, 3]])
+  t.alike(message.instructions[2].accounts, [4, 1, 2])
+  t.is(decoded.signatures[0], tx.signature)
+  t.ok(RPC.Keypair.verify(payer.publicKey, tx.serializeMessage(), RPC.base58.decode(decoded.signatures[0])))
+  t.ok(RPC.Keypair.verify(signer.publicKey, tx.serializeMessage(), RPC.base58.decode(decoded.signatures[1])))
+
+  t.is(await rpc.sendTransaction(tx), tx.signature)
+
+  // Changing the message invalidates the previous signatures
+  tx.add({ programId, keys: [], data: Buffer.alloc(0) })
+
+  t.exception(() => tx.serialize(), /Missing signature/)
+
+  const table = Buffer.concat([Buffer.alloc(56), RPC.base58.decode(readonly), RPC.base58.decode(writable)])
+
+  server.handle('getAccountInfo', { context: { slot: 1 }, value: { data: [table.toString('base64'), 'base64'], owner: 'AddressLookupTab1e1111111111111111111111111', lamports: 1, executable: false, rentEpoch: 0 } })
+
+  const lookupTable = await rpc.getAddressLookupTable(RPC.base58.encode(Buffer.alloc(32, 4)))
+
+  t.alike(lookupTable.addresses, [readonly, writable])
+
+  const v0 = new RPC.TransactionBuilder({
+    payer,
+    recentBlockhash: RPC.base58.encode(Buffer.alloc(32, 9)),
+    version: 0,
+    lookupTables: [lookupTable]
+  })
+
+  v0.add({ programId, keys: [{ pubkey: writable, isSigner: false, isWritable: true }, { pubkey: readonly, isSigner: false, isWritable: false }] })
+  v0.sign(payer)
+
+  const compiled = RPC.decodeTransaction(v0.serialize())
+
+  t.is(compiled.version, 0)
+  t.alike(compiled.message.accountKeys, [payer.publicKey, programId])
+  t.alike(compiled.message.addressTableLookups, [{ accountKey: RPC.base58.encode(Buffer.alloc(32, 4)), writableIndexes: [1], readonlyIndexes: [0] }])
+  t.alike(compiled.message.instructions[0].accounts, [2, 3])
+})
+
+test('public key helpers', async function (t) {
+  const keypair = new RPC.Keypair(Buffer.alloc(32, 1))
+
+  t.alike(RPC.Keypair.fromSecretKey(keypair.secretKey).publicKey, keypair.publicKey)
+  t.alike(new RPC.Keypair(RPC.base58.encode(keypair.secretKey)).publicKey, keypair.publicKey)
+  t.exception(() => new RPC.Keypair(Buffer.concat([keypair.secretKey.subarray(0, 32), Buffer.alloc(32)])), /does not match/)
+
+  t.ok(RPC.isPublicKey(keypair.publicKey))
+  t.absent(RPC.isPublicKey('0OIl'))
+  t.ok(RPC.isOnCurve(keypair.publicKey))
+
+  const programId = RPC.base58.encode(Buffer.alloc(32, 7))
+  const [address, bump] = RPC.findProgramAddress([Buffer.from('vault'), RPC.base58.decode(keypair.publicKey)], programId)
+
+  t.absent(RPC.isOnCurve(address))
+  t.is(RPC.createProgramAddress([Buffer.from('vault'), RPC.base58.decode(keypair.publicKey), Buffer.from([bump])], programId), address)
 })
 
 test('read blocks - start and end', async function (t) {
-  const rpc = new RPC()
+  const server = createChain({ slot: 100, skipped: [97] })
+  const rpc = createRPC(server)
+
   const currentSlot = await rpc.getSlot()
 
   t.comment('Starting slot:', currentSlot - 5)
@@ -68,13 +1275,79 @@ test('read blocks - start and end', async function (t) {
     end: currentSlot
   })
 
+  const slots = []
+
   for await (const block of readStream) {
-    t.comment('Block', block.parentSlot + 1)
+    slots.push(block === Symbol.for('solana-block-missing') ? null : block.slot)
+  }
+
+  t.alike(slots, [95, 96, null, 98, 99])
+  t.alike(methods(server, 'getBlock').map(req => req.params[0]), [95, 96, 98, 99], 'skipped slots are not requested')
+})
+
+test('get blocks - listed and then skipped', async function (t) {
+  const server = createChain({ slot: 100, skipped: [97] })
+  const rpc = createRPC(server)
+
+  // The slot list doesn't know about the skip, i.e. pruned after listing it
+  server.handle('getBlocks', ([start, end]) => Array.from({ length: end - start + 1 }, (_, i) => start + i))
+
+  const slots = []
+
+  for await (const block of rpc.createBlockStream({ start: 95, end: 100 })) {
+    slots.push(block === Symbol.for('solana-block-missing') ? null : block.slot)
+  }
+
+  const blocks = await rpc.getBlocks(95, 100)
+
+  t.alike(slots, [95, 96, null, 98, 99])
+  t.alike(blocks.map(block => typeof block === 'symbol' ? null : block.parentSlot + 1), slots)
+  t.alike(await rpc.getBlocks(97, 97), [Symbol.for('solana-block-missing')])
+})
+
+test('read blocks - live skips empty slots', async function (t) {
+  const server = createChain({ slot: 100, skipped: [89] })
+  const rpc = createRPC(server)
+
+  const slots = []
+
+  for await (const block of rpc.createBlockStream({ start: 87, live: true })) {
+    slots.push(block === Symbol.for('solana-block-missing') ? null : block.slot)
+
+    if (slots.length === 4) break
+  }
+
+  t.alike(slots, [87, 88, null, 90])
+  t.alike(methods(server, 'getBlocks').map(req => req.params.slice(0, 2)), [[87, 100]])
+  t.absent(methods(server, 'getBlock').some(req => req.params[0] === 89), 'skipped slots are not requested')
+})
+
+test('read blocks - live at the tip does not list every block', async function (t) {
+  const server = createChain({ slot: 100, skipped: [103] })
+  const rpc = createRPC(server)
+
+  const slots = []
+  const ticker = setInterval(() => server.slot++, 5)
+
+  for await (const block of rpc.createBlockStream({ start: 100, live: true, interval: 5 })) {
+    slots.push(block === Symbol.for('solana-block-missing') ? null : block.slot)
+
+    if (slots.length === 10) break
   }
+
+  clearInterval(ticker)
+
+  t.alike(slots, [100, 101, 102, null, 104, 105, 106, 107, 108, 109])
+  t.is(methods(server, 'getBlocks').length + methods(server, 'getBlocksWithLimit').length, 0, 'no listings')
+  const requested = methods(server, 'getBlock').map(req => req.params[0])
+
+  t.is(new Set(requested).size, requested.length, 'one request per block')
 })
 
 test('read blocks - start without end (snapshot)', async function (t) {
-  const rpc = new RPC()
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server)
+
   const currentSlot = await rpc.getSlot()
 
   t.comment('Starting slot:', currentSlot - 5)
@@ -83,9 +1356,298 @@ test('read blocks - start without end (snapshot)', async function (t) {
     start: currentSlot - 5
   })
 
+  let count = 0
+
+  for await (const block of readStream) {
+    t.is(block.parentSlot + 1, block.slot)
+    count++
+  }
+
+  t.is(count, 5)
+  t.is(readStream.length, 100)
+})
+
+test('read blocks - resume from a checkpoint', async function (t) {
+  const server = createChain({ slot: 100, skipped: [93] })
+  const rpc = createRPC(server)
+
+  const saved = []
+  const store = {
+    slot: null,
+    async get () { return this.slot },
+    async put (slot) { this.slot = slot }
+  }
+
+  const processed = []
+
+  try {
+    const readStream = rpc.createBlockStream({ start: 90, end: 100, prefetch: 5, resume: store, onCheckpoint: slot => saved.push(slot) })
+
+    for await (const block of readStream) {
+      const slot = block === Symbol.for('solana-block-missing') ? 93 : block.slot
+
+      // Crash while processing, with more blocks already prefetched
+      if (slot === 95) throw new Error('Crash')
+
+      processed.push(slot)
+    }
+  } catch (err) {
+    t.is(err.message, 'Crash')
+  }
+
+  t.is(store.slot, 94)
+  t.alike(saved, [90, 91, 92, 93, 94])
+
+  const readStream = rpc.createBlockStream({ start: 90, end: 100, resume: store })
+
+  for await (const block of readStream) {
+    processed.push(block.slot)
+  }
+
+  t.alike(processed, [90, 91, 92, 93, 94, 95, 96, 97, 98, 99])
+  t.is(store.slot, 99)
+  t.is(readStream.checkpoint, 99)
+})
+
+test('read blocks - rollback orphaned forks', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  let forked = false
+
+  server.handle('getSlot', 100)
+  server.handle('getBlock', function ([slot]) {
+    if (!forked || slot < 96) {
+      return { parentSlot: slot - 1, blockhash: 'hash' + slot, previousBlockhash: 'hash' + (slot - 1), transactions: [] }
+    }
+
+    // The new fork skips 96 and builds on top of 95
+    if (slot === 96) {
+      const err = new Error('Slot 96 was skipped, or missing due to ledger jump to recent snapshot')
+      err.code = -32007
+      throw err
+    }
+
+    const parentSlot = slot === 97 ? 95 : slot - 1
+
+    return { parentSlot, blockhash: 'fork' + slot, previousBlockhash: (parentSlot === 95 ? 'hash' : 'fork') + parentSlot, transactions: [] }
+  })
+
+  server.handle('getBlocks', function ([start, end]) {
+    const slots = []
+
+    for (let i = start; i <= end; i++) {
+      if (!forked || i !== 96) slots.push(i)
+    }
+
+    return slots
+  })
+
+  const rollbacks = []
+  const checkpoints = []
+  const delivered = []
+
+  const readStream = rpc.createBlockStream({
+    start: 94,
+    end: 100,
+    prefetch: 1,
+    forks: true,
+    onRollback: rollback => rollbacks.push(rollback),
+    onCheckpoint: slot => checkpoints.push(slot)
+  })
+
+  for await (const block of readStream) {
+    delivered.push(block.blockhash)
+
+    if (block.slot === 97) forked = true
+  }
+
+  // Block 98 was already prefetched from the old fork
+  t.alike(delivered, ['hash94', 'hash95', 'hash96', 'hash97', 'hash98', 'fork97', 'fork98', 'fork99'])
+  t.alike(rollbacks, [{
+    ancestor: { slot: 95, blockhash: 'hash95' },
+    orphaned: [{ slot: 96, blockhash: 'hash96' }, { slot: 97, blockhash: 'hash97' }, { slot: 98, blockhash: 'hash98' }]
+  }])
+  t.alike(checkpoints, [94, 95, 96, 97, 98, 95, 97, 98, 99])
+})
+
+test('read blocks - rollback when the parent of the fork is missing', async function (t) {
+  const server = new MockServer()
+  const rpc = createRPC(server)
+
+  let forked = false
+
+  server.handle('getSlot', 100)
+  server.handle('getBlocks', ([start, end]) => Array.from({ length: end - start + 1 }, (_, i) => start + i))
+  server.handle('getBlock', function ([slot]) {
+    if (!forked || slot < 97) {
+      return { parentSlot: slot - 1, blockhash: 'hash' + slot, previousBlockhash: 'hash' + (slot - 1), transactions: [] }
+    }
+
+    // The parent of the new fork is not available anymore
+    if (slot === 97) {
+      const err = new Error('Slot 97 was skipped, or missing in long-term storage')
+      err.code = -32009
+      throw err
+    }
+
+    return { parentSlot: slot - 1, blockhash: 'fork' + slot, previousBlockhash: 'fork' + (slot - 1), transactions: [] }
+  })
+
+  const rollbacks = []
+  const delivered = []
+
+  const readStream = rpc.createBlockStream({
+    start: 94,
+    end: 100,
+    prefetch: 1,
+    forks: true,
+    onRollback: rollback => rollbacks.push(rollback)
+  })
+
+  for await (const block of readStream) {
+    delivered.push(block.blockhash)
+
+    // Block 97 is already prefetched from the old fork
+    if (block.slot === 96) forked = true
+  }
+
+  t.alike(delivered, ['hash94', 'hash95', 'hash96', 'hash97', 'fork98', 'fork99'])
+  t.alike(rollbacks, [{ ancestor: { slot: 96, blockhash: 'hash96' }, orphaned: [{ slot: 97, blockhash: 'hash97' }] }])
+})
+
+test('read blocks - wait for finalized', async function (t) {
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server)
+
+  const readStream = rpc.createBlockStream({ start: 98, finalized: true })
+
   for await (const block of readStream) {
-    t.comment('Block', block.parentSlot + 1, '/', readStream.length)
+    t.ok(block.slot)
+  }
+
+  t.ok(server.requests.every(req => req.params[req.params.length - 1].commitment === 'finalized'))
+})
+
+test('read blocks - live driven by slot notifications', async function (t) {
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const slots = []
+  const reading = (async () => {
+    for await (const block of rpc.createBlockStream({ start: 101, live: true, subscribe: 'slot', interval: 20 })) {
+      slots.push(block.slot)
+
+      if (slots.length === 2) break
+    }
+  })()
+
+  await waitFor(() => server.subscriptions.size === 1)
+
+  // Processed slots run ahead of the confirmed tip
+  for (let slot = 101; slot <= 110; slot++) {
+    await server.notify('slotNotification', { slot, parent: slot - 1, root: slot - 32 })
   }
+
+  await new Promise(resolve => setTimeout(resolve, 100))
+
+  server.slot = 103
+  await server.notify('slotNotification', { slot: 111, parent: 110, root: 79 })
+
+  await reading
+
+  t.alike(slots, [101, 102])
+  t.ok(methods(server, 'getSlot').length <= 8, 'polled at most once per interval')
+  t.absent(methods(server, 'getBlocksWithLimit').length + methods(server, 'getBlocks').length > 1, 'listed once')
+  t.alike(unsubscribes(server), ['slotUnsubscribe'])
+
+  await rpc.disconnect()
+})
+
+test('read blocks - live start ahead of the tip waits between polls', async function (t) {
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server)
+
+  const slots = []
+  const reading = (async () => {
+    for await (const block of rpc.createBlockStream({ start: 105, live: true, interval: 20 })) {
+      slots.push(block.slot)
+
+      if (slots.length === 1) break
+    }
+  })()
+
+  await new Promise(resolve => setTimeout(resolve, 200))
+
+  server.slot = 106
+
+  await reading
+
+  t.alike(slots, [105])
+  t.ok(methods(server, 'getSlot').length <= 15, 'polled once per interval')
+})
+
+test('read blocks - live from block notifications, polling if the socket drops', async function (t) {
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server, { reconnect: false })
+
+  await rpc.connect()
+
+  const slots = []
+  const reading = (async () => {
+    for await (const block of rpc.createBlockStream({ start: 101, live: true, subscribe: 'block' })) {
+      slots.push(block.slot)
+
+      if (slots.length === 2) break
+    }
+  })()
+
+  await waitFor(() => server.subscriptions.size === 1)
+
+  server.slot = 101
+  await server.notify('blockNotification', { context: { slot: 101 }, value: { slot: 101, block: { parentSlot: 100, transactions: [] }, err: null } })
+
+  await waitFor(() => slots.length === 1)
+
+  // Polling stays one slot behind the tip
+  server.disconnect()
+  server.slot = 103
+
+  await reading
+
+  t.alike(slots, [101, 102])
+  t.absent(methods(server, 'getBlock').some(req => req.params[0] === 101), 'block came from the notification')
+  t.ok(methods(server, 'getSlot').length > 1, 'polled after the socket dropped')
+})
+
+test('read blocks - malformed block notifications are fetched instead', async function (t) {
+  const server = createChain({ slot: 100 })
+  const rpc = createRPC(server)
+
+  await rpc.connect()
+
+  const blocks = []
+  const reading = (async () => {
+    for await (const block of rpc.createBlockStream({ start: 101, live: true, subscribe: 'block', encoding: 'base64' })) {
+      blocks.push(block)
+
+      if (blocks.length === 1) break
+    }
+  })()
+
+  await waitFor(() => server.subscriptions.size === 1)
+
+  server.slot = 101
+  await server.notify('blockNotification', { context: { slot: 101 }, value: { slot: 101, block: { parentSlot: 100, transactions: [{ transaction: ['AAAA', 'base64'], meta: null }] }, err: null } })
+
+  await reading
+
+  t.is(blocks[0].blockhash, 'hash101')
+  t.ok(methods(server, 'getBlock').some(req => req.params[0] === 101), 'block was fetched')
+
+  await rpc.disconnect()
 })
 
 test.skip('read blocks - start without end (live)', { timeout: 5 * 60 * 1000 }, async function (t) {
@@ -112,3 +1674,73 @@ test.skip('read blocks - start without end (live)', { timeout: 5 * 60 * 1000 },
 
   t.comment('Done')
 })
+
+function createRPC (server, opts = {}) {
+  return new RPC({
+    url: 'http://mock',
+    ws: 'ws://mock',
+    fetch: server.fetch,
+    WebSocket: server.WebSocket,
+    ...opts
+  })
+}
+
+// Simple chain where every slot has a block, except the skipped ones
+function createChain ({ slot, skipped = [] }) {
+  const server = new MockServer()
+
+  // The tip can be moved by the tests
+  server.slot = slot
+
+  server.handle('getSlot', () => server.slot)
+
+  server.handle('getBlock', function ([blockNumber]) {
+    if (skipped.includes(blockNumber) || blockNumber > server.slot) {
+      const err = new Error('Slot ' + blockNumber + ' was skipped, or missing due to ledger jump to recent snapshot')
+      err.code = -32007
+      throw err
+    }
+
+    return { parentSlot: blockNumber - 1, blockhash: 'hash' + blockNumber, previousBlockhash: 'hash' + (blockNumber - 1), transactions: [] }
+  })
+
+  server.handle('getBlocks', ([start, end]) => blocks(start, end))
+  server.handle('getBlocksWithLimit', ([start, limit]) => blocks(start, server.slot).slice(0, limit))
+
+  return server
+
+  function blocks (start, end) {
+    const slots = []
+
+    for (let i = start; i <= Math.min(end, server.slot); i++) {
+      if (!skipped.includes(i)) slots.push(i)
+    }
+
+    return slots
+  }
+}
+
+function route (servers) {
+  return (url, opts) => servers[url].fetch(url, opts)
+}
+
+function record (server, posts) {
+  return function (url, opts) {
+    posts.push(JSON.parse(opts.body))
+    return server.fetch(url, opts)
+  }
+}
+
+function methods (server, method) {
+  return server.requests.filter(req => req.method === method)
+}
+
+function unsubscribes (server) {
+  return server.requests.filter(req => req.method.endsWith('Unsubscribe')).map(req => req.method)
+}
+
+async function waitFor (fn) {
+  while (!fn()) {
+    await new Promise(resolve => setTimeout(resolve, 10))
+  }
+}